@@ -0,0 +1,57 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import AuthProvider from './AuthProvider.js';
+
+/**
+ * ApiKeyAuth
+ * ----------
+ * Sends an API key in a header (default `X-API-Key`) or as a query parameter.
+ *
+ * Usage:
+ * ```js
+ * new ApiKeyAuth({ key: 'abc123' });                                // X-API-Key: abc123
+ * new ApiKeyAuth({ key: 'abc123', name: 'api_key', in: 'query' });  // ?api_key=abc123
+ * ```
+ *
+ * @class ApiKeyAuth
+ */
+export class ApiKeyAuth extends AuthProvider {
+    /**
+     * @param {object} [opts={}]
+     * @param {string|function} opts.key - The key, or `async () => key`.
+     * @param {string} [opts.name='X-API-Key'] - Header or query parameter name.
+     * @param {'header'|'query'} [opts.in='header'] - Where to send it.
+     */
+    constructor({ key, name = 'X-API-Key', in: location = 'header' } = {}) {
+	super();
+	if (!['header', 'query'].includes(location))
+	    throw new Error(`ApiKeyAuth: "in" must be "header" or "query", got "${location}"`);
+	this.key = key;
+	this.name = name;
+	this.location = location;
+    }
+
+    async authorize(req) {
+	const key = typeof this.key === 'function' ? await this.key() : this.key;
+	if (key === undefined || key === null || key === '') return;
+
+	if (this.location === 'header') {
+	    req.headers.set(this.name, key);
+	    return;
+	}
+	const param = `${encodeURIComponent(this.name)}=${encodeURIComponent(key)}`;
+	const [base, hash] = req.url.split('#');
+	const sep = base.includes('?') ? (base.endsWith('?') || base.endsWith('&') ? '' : '&') : '?';
+	req.url = base + sep + param + (hash !== undefined ? `#${hash}` : '');
+    }
+
+    async cacheKey() {
+	const key = typeof this.key === 'function' ? await this.key() : this.key;
+	if (key === undefined || key === null || key === '') return '';
+	return `${this.location} ${this.name}: ${key}`;
+    }
+}
+
+export default ApiKeyAuth;
@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * AuthProvider
+ * ------------
+ * Base class for `http.auth` providers (see `BearerAuth`, `BasicAuth`, `ApiKeyAuth`, `SignerAuth`).
+ *
+ * `HTTP` calls the provider on every fetch attempt, after the `request` interceptors:
+ * 1. `authorize(req)` adds credentials to the outgoing attempt.
+ * 2. If the response is `401`, `onUnauthorized(res, state)` may resolve `true` to replay the
+ *    request once (e.g. after refreshing a token).
+ *
+ * With a response cache, `cacheKey(req)` names the identity the credentials stand for, so cached
+ * responses are only served to requests made as the same identity. Providers without one bypass the cache.
+ *
+ * `req` is `{ url, method, headers, body, ctx }`, where `headers` is a `Headers` object.
+ * Mutate `req.headers` and/or assign `req.url`; the dispatch context `ctx` is for reading only.
+ *
+ * @class AuthProvider
+ */
+export class AuthProvider {
+    /**
+     * Adds credentials to an outgoing attempt.
+     * @param {object} req - `{ url, method, headers, body, ctx }`
+     * @returns {Promise<*>|*} Optional state, handed back to `onUnauthorized()` for this attempt.
+     */
+    async authorize(req) {
+	return undefined;
+    }
+
+    /**
+     * Called when an attempt is answered with `401`.
+     * @param {Response} res
+     * @param {*} state - What `authorize()` returned for the failed attempt.
+     * @returns {Promise<boolean>} True to replay the request once.
+     */
+    async onUnauthorized(res, state) {
+	return false;
+    }
+
+    /**
+     * Stable identity the response cache keeps this provider's responses apart by (e.g. the current token).
+     * Must not change between calls for the same credentials, so no signatures or timestamps.
+     * @param {object} req - `{ url, method, headers, ctx }`
+     * @returns {Promise<string|null>|string|null} `''` for no credentials; null (the default) to bypass the cache.
+     */
+    async cacheKey(req) {
+	return null;
+    }
+}
+
+export default AuthProvider;
@@ -0,0 +1,36 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import AuthProvider from './AuthProvider.js';
+
+/**
+ * BasicAuth
+ * ---------
+ * Sends `Authorization: Basic base64(username:password)` (UTF-8 encoded).
+ *
+ * @class BasicAuth
+ */
+export class BasicAuth extends AuthProvider {
+    /**
+     * @param {object} [opts={}]
+     * @param {string} [opts.username='']
+     * @param {string} [opts.password='']
+     */
+    constructor({ username = '', password = '' } = {}) {
+	super();
+	this.username = username;
+	this.password = password;
+    }
+
+    async authorize(req) {
+	const bytes = new TextEncoder().encode(`${this.username}:${this.password}`);
+	req.headers.set('Authorization', 'Basic ' + btoa(String.fromCharCode(...bytes)));
+    }
+
+    async cacheKey() {
+	return `basic: ${this.username}:${this.password}`;
+    }
+}
+
+export default BasicAuth;
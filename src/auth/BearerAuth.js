@@ -0,0 +1,93 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import AuthProvider from './AuthProvider.js';
+
+/**
+ * BearerAuth
+ * ----------
+ * Sends `Authorization: Bearer <token>` and refreshes the token on `401`.
+ *
+ * Refresh is single-flight: when several requests fail with `401` at once, `refresh()` runs once,
+ * every failed request waits for it and is replayed once with the new token. Requests that start
+ * while a refresh is running wait for it too. If `refresh()` rejects, those requests reject with its error.
+ *
+ * Usage:
+ * ```js
+ * http.setAuth(new BearerAuth({
+ *     token: sessionStorage.getItem('token'),
+ *     refresh: async () => (await fetch('/auth/refresh', { method: 'POST' }).then(r => r.json())).token
+ * }));
+ * ```
+ *
+ * @class BearerAuth
+ */
+export class BearerAuth extends AuthProvider {
+    /**
+     * @param {object} [opts={}]
+     * @param {string|null} [opts.token=null] - Current token.
+     * @param {function} [opts.getToken] - `async () => token`, called when there is no token yet (lazy login).
+     * @param {function} [opts.refresh] - `async (expiredToken) => token`, called on `401`. Without it, 401s are returned as is.
+     * @param {string} [opts.scheme='Bearer'] - Authorization scheme; empty to send the bare token.
+     * @param {string} [opts.header='Authorization'] - Header to send the token in.
+     */
+    constructor({ token = null, getToken = null, refresh = null, scheme = 'Bearer', header = 'Authorization' } = {}) {
+	super();
+	this.token = token;
+	this.getToken = getToken;
+	this.refresh = refresh;
+	this.scheme = scheme;
+	this.header = header;
+	this.refreshing = null; // pending refresh, shared by every request that hit a 401
+    }
+
+    /**
+     * Replaces the token (e.g. after login); `null` clears it.
+     * @param {string|null} token
+     */
+    setToken(token) {
+	this.token = token;
+    }
+
+    async authorize(req) {
+	const token = await this.currentToken();
+	if (token)
+	    req.headers.set(this.header, this.scheme ? `${this.scheme} ${token}` : token);
+	return token;
+    }
+
+    async cacheKey() {
+	const token = await this.currentToken();
+	return token ? `${this.header}: ${token}` : '';
+    }
+
+    async onUnauthorized(res, usedToken) {
+	if (typeof this.refresh !== 'function') return false;
+	if (this.refreshing) return !!(await this.refreshing);
+	if (usedToken !== this.token) return !!this.token; // someone refreshed since this request was sent
+
+	this.refreshing = Promise.resolve()
+	    .then(() => this.refresh(usedToken))
+	    .then(token => {
+		this.token = token ?? null;
+		return this.token;
+	    })
+	    .finally(() => {
+		this.refreshing = null;
+	    });
+	return !!(await this.refreshing);
+    }
+
+    /**
+     * @returns {Promise<string|null>} The token to send, waiting for a refresh in progress.
+     */
+    async currentToken() {
+	if (this.refreshing) return this.refreshing;
+	if (!this.token && typeof this.getToken === 'function')
+	    this.token = (await this.getToken()) ?? null;
+	return this.token;
+    }
+}
+
+export default BearerAuth;
@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import AuthProvider from './AuthProvider.js';
+
+/**
+ * SignerAuth
+ * ----------
+ * Custom signing callback, run on every attempt (so retries get a fresh signature).
+ * Signatures differ per request, so signed requests bypass the response cache unless a `cacheKey`
+ * (e.g. the key id) says whose they are.
+ *
+ * Usage:
+ * ```js
+ * http.setAuth(new SignerAuth(async (req) => {
+ *     const ts = Date.now().toString();
+ *     req.headers.set('X-Timestamp', ts);
+ *     req.headers.set('X-Signature', await hmac(secret, `${req.method}\n${req.url}\n${ts}\n${req.body ?? ''}`));
+ * }));
+ * ```
+ *
+ * @class SignerAuth
+ */
+export class SignerAuth extends AuthProvider {
+    /**
+     * @param {function|object} sign - `async (req) => state`, or `{ sign, onUnauthorized, cacheKey }`
+     *   where `cacheKey(req)` returns a stable identity for the response cache (see `AuthProvider`).
+     */
+    constructor(sign) {
+	super();
+	const opts = typeof sign === 'function' ? { sign } : (sign ?? {});
+	if (typeof opts.sign !== 'function')
+	    throw new Error('SignerAuth: a sign(req) function is required');
+	this.sign = opts.sign;
+	this.unauthorized = opts.onUnauthorized ?? null;
+	this.identity = opts.cacheKey ?? null;
+    }
+
+    async authorize(req) {
+	return this.sign(req);
+    }
+
+    async onUnauthorized(res, state) {
+	return this.unauthorized ? !!(await this.unauthorized(res, state)) : false;
+    }
+
+    async cacheKey(req) {
+	return this.identity ? this.identity(req) : null;
+    }
+}
+
+export default SignerAuth;
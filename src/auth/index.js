@@ -0,0 +1,43 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+// Auth provider registry, used by the `auth` option of HTTP
+
+import AuthProvider from './AuthProvider.js';
+import BearerAuth from './BearerAuth.js';
+import BasicAuth from './BasicAuth.js';
+import ApiKeyAuth from './ApiKeyAuth.js';
+import SignerAuth from './SignerAuth.js';
+
+export const providers = {
+    bearer: BearerAuth,
+    basic: BasicAuth,
+    apiKey: ApiKeyAuth,
+    signer: SignerAuth
+};
+
+/**
+ * Normalizes an `auth` option into a provider.
+ *
+ * @param {AuthProvider|object|function|false|null} config
+ *   - a provider (anything with `authorize()`) → returned as is
+ *   - a function → `SignerAuth`
+ *   - `{ type: 'bearer' | 'basic' | 'apiKey' | 'signer', ...opts }` → new provider of that type
+ * @returns {AuthProvider|null}
+ */
+export function createAuth(config) {
+    if (!config) return null;
+    if (typeof config.authorize === 'function') return config;
+    if (typeof config === 'function') return new SignerAuth(config);
+
+    const { type, ...opts } = config;
+    const Provider = providers[type];
+    if (!Provider)
+	throw new Error(`auth: unknown provider type "${type}". Must be one of: ${Object.keys(providers).join(', ')}`);
+    return new Provider(opts);
+}
+
+export { AuthProvider, BearerAuth, BasicAuth, ApiKeyAuth, SignerAuth };
+
+export default providers;
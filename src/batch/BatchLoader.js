@@ -6,6 +6,7 @@
 
 import SyncLoader from './SyncLoader.js';
 import concurrencyLimiter from '../utils/concurrencyLimiter.js';
+import { HTTPError } from '../core/errors.js';
 
 /**
  * BatchLoader
@@ -38,6 +39,9 @@ import concurrencyLimiter from '../utils/concurrencyLimiter.js';
  * - If a handler is provided and it returns `false`, the request is marked as failed in SyncLoader.
  * - If no handler is provided, the raw response is stored in `.context[id]`.
  * - All results are stored in `.context`, unless the batch handler overrides it.
+ * - If the request rejects with an `HTTPError` (or `TimeoutError` / `AbortError` / `NetworkError` / `CircuitOpenError`),
+ *   the error is stored in `.context[id]`, the item is marked as failed, and the handler is not called.
+ *   Any other rejection propagates out of `run()`.
  *
   * Batch handler modes:
  * - `batchStatus` (default): stores the result and marks failure if `!res.ok`.
@@ -114,6 +118,10 @@ export class BatchLoader {
      *                                            If false, returns immediately with unresolved promises.
      * @param {boolean} [options.limit=8] - sets the concurrency limit for fetch requests.
      *                                      If you wish to disable it (and you probably dont), just set it very high.
+     * @param {Function} [options.onProgress] - Download progress for the whole batch:
+     *     `({ loaded, total, percent, rate, completed, count, done, items }) => void`
+     *     `total` is null until every item's size is known; `percent` then falls back to `completed / count`.
+     *     `items` maps each id to `{ loaded, total, done }`. An item's own `opts.onDownloadProgress` still fires.
      *
      * @returns {Promise<{sync: SyncLoader, results: Object<string, any>|Promise<any>[]}>>}
      * Resolves to an object containing:
@@ -146,7 +154,7 @@ export class BatchLoader {
      
      */
 
-    async run(loadList = [], load = null, fail = null,{ awaitAll = true,limit = 8 } = {}) {
+    async run(loadList = [], load = null, fail = null,{ awaitAll = true,limit = 8, onProgress = null } = {}) {
 	// Track required IDs from load list
 	let required = loadList.map(({ id }) => id);
 	const batchWrapper = this.batchHandler === false
@@ -162,10 +170,18 @@ export class BatchLoader {
 	});
 	const limiter = concurrencyLimiter(limit);
 	const validatedList = this._preflightCheck(loadList);
+	const progress = onProgress ? this._batchProgress(validatedList.map(({ id }) => id), onProgress) : null;
 	const all = [];
 	for (const item of validatedList) {
 	    const { method = 'get', id, url, handler, opts = {}, data: postData = null } = item;
 	    const mOpts = { ...{ format: 'full' }, ...this.fetchOpts, ...opts };
+	    if (progress) {
+		const itemProgress = mOpts.onDownloadProgress;
+		mOpts.onDownloadProgress = (p) => {
+		    itemProgress?.(p);
+		    progress.update(id, p);
+		};
+	    }
 
 	    /*const request = method === 'post'
 		  ? this.net.http.post(url, postData, mOpts)
@@ -176,7 +192,11 @@ export class BatchLoader {
 		 ? this.net.http.post(url, postData, mOpts)
 		 : this.net.http.get(url, mOpts)
 		)
-		    .then(sync.wrapper(id, batchWrapper(this, id, handler, item, mOpts)))
+		    .then(
+			sync.wrapper(id, batchWrapper(this, id, handler, item, mOpts)),
+			err => this._failItem(sync, id, err)
+		    )
+		    .finally(() => progress?.complete(id))
 		    .then(result => ({ id, result }))
 	    );
 	    all.push(limiter(run));
@@ -215,6 +235,69 @@ export class BatchLoader {
 	return this.context[name];
     }
 
+    /**
+     * Marks a batch item as failed after its request rejected with a typed HTTP error
+     * (see `core/errors.js`). The error is stored in `.context[id]` so `fail` callbacks
+     * can branch on `instanceof TimeoutError` etc. Non-HTTP errors are re-thrown.
+     *
+     * @param {SyncLoader} sync
+     * @param {string} id
+     * @param {Error} err
+     * @returns {HTTPError} The stored error.
+     */
+    _failItem(sync, id, err) {
+	if (!(err instanceof HTTPError)) throw err;
+	this.context[id] = err;
+	return sync.wrapper(id, () => false)(err);
+    }
+
+    /**
+     * Combines per-item download progress into one figure for `run({ onProgress })`.
+     *
+     * @param {string[]} ids - Batch item ids.
+     * @param {Function} onProgress - Receives the aggregate event (see `run()`).
+     * @returns {{ update: Function, complete: Function }}
+     */
+    _batchProgress(ids, onProgress) {
+	const start = performance.now();
+	const items = {};
+	for (const id of ids) items[id] = { loaded: 0, total: null, done: false };
+
+	const emit = () => {
+	    const list = Object.values(items);
+	    let loaded = 0, total = 0, completed = 0;
+	    for (const item of list) {
+		loaded += item.loaded;
+		total = (total === null || item.total === null) ? null : total + item.total;
+		if (item.done) completed++;
+	    }
+	    const seconds = (performance.now() - start) / 1000;
+	    onProgress({
+		loaded,
+		total,
+		percent: total ? Math.min(100, (loaded / total) * 100) : (list.length ? (completed / list.length) * 100 : 100),
+		rate: seconds > 0 ? Math.round(loaded / seconds) : 0,
+		completed,
+		count: list.length,
+		done: completed === list.length,
+		items
+	    });
+	};
+
+	return {
+	    update(id, { loaded, total }) {
+		Object.assign(items[id], { loaded, total });
+		emit();
+	    },
+	    complete(id) {
+		const item = items[id];
+		item.done = true;
+		if (item.total === null) item.total = item.loaded; // no body, or failed before its size was known
+		emit();
+	    }
+	};
+    }
+
     //helper function b/c get /post have differing parameters
     _getRequestMethod(method) {
 	const defaultMethod = 'get';
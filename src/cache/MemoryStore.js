@@ -0,0 +1,66 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * MemoryStore
+ * -----------
+ * Default `ResponseCache` store: an in-memory LRU keyed by string.
+ *
+ * Any object with the same four methods can replace it (IndexedDB, a file-backed store in Node, ...).
+ * Methods may be sync or return promises:
+ *
+ * ```js
+ * {
+ *     get(key)          → entry | undefined
+ *     set(key, entry)   → void
+ *     delete(key)       → void
+ *     clear()           → void
+ * }
+ * ```
+ *
+ * Entries are plain objects (see `ResponseCache`) whose `body` is a `Uint8Array`,
+ * so they survive structured cloning (IndexedDB) as is; a JSON/file store must encode `body` itself.
+ *
+ * @class MemoryStore
+ */
+export class MemoryStore {
+    /**
+     * @param {object} [opts={}]
+     * @param {number} [opts.maxEntries=100] - Least recently used entries are evicted beyond this.
+     */
+    constructor({ maxEntries = 100 } = {}) {
+	this.maxEntries = maxEntries;
+	this.entries = new Map(); // insertion order = recency
+    }
+
+    get(key) {
+	if (!this.entries.has(key)) return undefined;
+	const entry = this.entries.get(key);
+	this.entries.delete(key);
+	this.entries.set(key, entry);
+	return entry;
+    }
+
+    set(key, entry) {
+	this.entries.delete(key);
+	this.entries.set(key, entry);
+	while (this.entries.size > this.maxEntries)
+	    this.entries.delete(this.entries.keys().next().value);
+    }
+
+    delete(key) {
+	this.entries.delete(key);
+    }
+
+    clear() {
+	this.entries.clear();
+    }
+
+    get size() {
+	return this.entries.size;
+    }
+}
+
+export default MemoryStore;
@@ -0,0 +1,296 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import MemoryStore from './MemoryStore.js';
+
+/**
+ * ResponseCache
+ * -------------
+ * Optional private HTTP cache for `GET` / `HEAD`, enabled with `new HTTP({ responseCache })`.
+ *
+ * - Entries are keyed by method + URL, plus the request headers named by the response's `Vary`.
+ * - Requests sent with credentials (`Authorization`, `Cookie`, an auth provider's identity) pass a `partition`:
+ *   their entries are only served to requests with the same credentials, whatever the `Vary`.
+ *   Header values and partitions are hashed before they become part of a store key.
+ * - Freshness follows `Cache-Control: max-age` (or `Expires`), `no-cache`, `must-revalidate`
+ *   and `stale-while-revalidate`; `no-store` responses (or requests) are never stored.
+ * - Stale entries are revalidated with `If-None-Match` / `If-Modified-Since`; a `304` is answered
+ *   with the cached body (and its headers refreshed).
+ * - A successful non-cacheable request (POST, PUT, ...) drops the cached entries for its URL.
+ *
+ * Stored entry shape (what a custom store receives):
+ * ```js
+ * { url, status, statusText, headers: { ... }, body: Uint8Array, storedAt: epochMs }
+ * ```
+ * A URL whose response varies (or was stored for a partition) also gets a `{ vary: ['accept-language', ...] }`
+ * record under its base key.
+ *
+ * Usage:
+ * ```js
+ * const http = new HTTP({ responseCache: true });                         // in-memory LRU, 100 entries
+ * const http = new HTTP({ responseCache: { maxEntries: 500, defaultMaxAge: 60 } });
+ * const http = new HTTP({ responseCache: { store: myIndexedDBStore } }); // see MemoryStore for the interface
+ * ```
+ *
+ * @class ResponseCache
+ */
+export class ResponseCache {
+    static METHODS = ['GET', 'HEAD'];
+
+    /**
+     * @param {object} [opts={}]
+     * @param {object} [opts.store] - Entry store (`get`/`set`/`delete`/`clear`, sync or async). Defaults to a `MemoryStore`.
+     * @param {number} [opts.maxEntries=100] - Size of the default `MemoryStore`.
+     * @param {number} [opts.defaultMaxAge=0] - Freshness (seconds) for responses without `max-age` / `Expires`.
+     */
+    constructor({ store = null, maxEntries = 100, defaultMaxAge = 0 } = {}) {
+	this.store = store ?? new MemoryStore({ maxEntries });
+	this.defaultMaxAge = defaultMaxAge;
+	this.refreshing = new Set(); // keys with a background revalidation in flight
+    }
+
+    /**
+     * Normalizes the `responseCache` option of `HTTP`.
+     * @param {boolean|object|ResponseCache|null} opt
+     * @returns {ResponseCache|null}
+     */
+    static from(opt) {
+	if (!opt) return null;
+	if (opt instanceof ResponseCache) return opt;
+	return new ResponseCache(opt === true ? {} : opt);
+    }
+
+    handles(method) {
+	return this.constructor.METHODS.includes(String(method).toUpperCase());
+    }
+
+    /**
+     * Finds the stored entry matching a request.
+     * @param {string} method
+     * @param {string} url
+     * @param {object|Headers} [headers] - Request headers (for `Vary`).
+     * @param {string} [partition=''] - Credentials the request is sent with (see class doc).
+     * @returns {Promise<object|null>}
+     */
+    async lookup(method, url, headers = {}, partition = '') {
+	const key = baseKey(method, url);
+	const record = await this.store.get(key);
+	if (!record) return null;
+	if (!Array.isArray(record.vary)) return partition ? null : record;
+	return (await this.store.get(variantKey(key, record.vary, headers, partition))) ?? null;
+    }
+
+    /**
+     * Classifies an entry's age.
+     * @param {object} entry
+     * @param {number} [now=Date.now()]
+     * @returns {'fresh'|'stale-while-revalidate'|'stale'}
+     */
+    state(entry, now = Date.now()) {
+	const cc = parseCacheControl(entry.headers['cache-control']);
+	const age = (now - entry.storedAt) / 1000 + (parseInt(entry.headers.age, 10) || 0);
+	const lifetime = this.lifetime(entry.headers, cc);
+
+	if (cc['no-cache'] !== undefined) return 'stale';
+	if (age < lifetime) return 'fresh';
+
+	const swr = parseInt(cc['stale-while-revalidate'], 10);
+	if (cc['must-revalidate'] === undefined && swr > 0 && age < lifetime + swr)
+	    return 'stale-while-revalidate';
+	return 'stale';
+    }
+
+    /**
+     * Freshness lifetime in seconds, from `max-age`, then `Expires`, then `defaultMaxAge`.
+     * @param {object} headers - Response headers (lower-case keys).
+     * @param {object} [cc] - Parsed `Cache-Control`.
+     * @returns {number}
+     */
+    lifetime(headers, cc = parseCacheControl(headers['cache-control'])) {
+	const maxAge = parseInt(cc['max-age'], 10);
+	if (Number.isFinite(maxAge)) return maxAge;
+
+	if (headers.expires) {
+	    const expires = Date.parse(headers.expires);
+	    const date = Date.parse(headers.date) || Date.now();
+	    return Number.isNaN(expires) ? 0 : Math.max(0, (expires - date) / 1000);
+	}
+	return this.defaultMaxAge;
+    }
+
+    /**
+     * Conditional request headers for revalidating `entry`, merged over `headers`.
+     * @param {object|Headers} headers - The request's headers.
+     * @param {object} entry
+     * @returns {object} Plain header object (lower-case keys).
+     */
+    conditionalHeaders(headers, entry) {
+	const out = new Headers(headers);
+	if (entry.headers.etag) out.set('if-none-match', entry.headers.etag);
+	if (entry.headers['last-modified']) out.set('if-modified-since', entry.headers['last-modified']);
+	return Object.fromEntries(out.entries());
+    }
+
+    /**
+     * @param {object} entry
+     * @returns {boolean} True if the entry carries a validator (`ETag` / `Last-Modified`).
+     */
+    canRevalidate(entry) {
+	return !!(entry.headers.etag || entry.headers['last-modified']);
+    }
+
+    /**
+     * Stores a network response if it is cacheable.
+     * The body is read in full, so the returned `Response` must be used in place of `res`.
+     *
+     * @param {string} method
+     * @param {string} url
+     * @param {object|Headers} reqHeaders
+     * @param {Response} res
+     * @param {string} [partition=''] - Credentials the request was sent with.
+     * @returns {Promise<Response>} A fresh copy of the stored response, or `res` untouched if not cacheable.
+     */
+    async save(method, url, reqHeaders, res, partition = '') {
+	if (!this.cacheable(reqHeaders, res)) return res;
+
+	const entry = {
+	    url: res.url || url,
+	    status: res.status,
+	    statusText: res.statusText,
+	    headers: Object.fromEntries(res.headers.entries()),
+	    body: new Uint8Array(await res.arrayBuffer()),
+	    storedAt: Date.now()
+	};
+	await this._put(method, url, reqHeaders, entry, partition);
+	return this.toResponse(entry);
+    }
+
+    /**
+     * Refreshes `entry` from a `304 Not Modified` and returns the cached response.
+     *
+     * @param {string} method
+     * @param {string} url
+     * @param {object|Headers} reqHeaders
+     * @param {object} entry
+     * @param {Response} res - The 304 response.
+     * @param {string} [partition=''] - Credentials the request was sent with.
+     * @returns {Promise<Response>}
+     */
+    async revalidated(method, url, reqHeaders, entry, res, partition = '') {
+	await res.body?.cancel().catch(() => {});
+	const headers = { ...entry.headers };
+	for (const [name, value] of res.headers.entries()) {
+	    if (!['content-length', 'content-encoding', 'transfer-encoding'].includes(name))
+		headers[name] = value;
+	}
+	const updated = { ...entry, headers, storedAt: Date.now() };
+	await this._put(method, url, reqHeaders, updated, partition);
+	return this.toResponse(updated);
+    }
+
+    /**
+     * @param {object|Headers} reqHeaders
+     * @param {Response} res
+     * @returns {boolean}
+     */
+    cacheable(reqHeaders, res) {
+	if (![200, 203].includes(res.status)) return false;
+	const cc = parseCacheControl(res.headers.get('cache-control'));
+	const reqCC = parseCacheControl(new Headers(reqHeaders).get('cache-control'));
+	if (cc['no-store'] !== undefined || reqCC['no-store'] !== undefined) return false;
+	if ((res.headers.get('vary') || '').includes('*')) return false;
+
+	const headers = Object.fromEntries(res.headers.entries());
+	return this.lifetime(headers, cc) > 0
+	    || parseInt(cc['stale-while-revalidate'], 10) > 0
+	    || this.canRevalidate({ headers });
+    }
+
+    /**
+     * Builds a `Response` from a stored entry.
+     * @param {object} entry
+     * @returns {Response}
+     */
+    toResponse(entry) {
+	const res = new Response(entry.body?.byteLength ? entry.body : null, {
+	    status: entry.status,
+	    statusText: entry.statusText,
+	    headers: entry.headers
+	});
+	Object.defineProperty(res, 'url', { value: entry.url });
+	return res;
+    }
+
+    /**
+     * Drops the cached `GET` / `HEAD` entries of a URL.
+     * @param {string} url
+     */
+    async invalidate(url) {
+	for (const method of this.constructor.METHODS)
+	    await this.store.delete(baseKey(method, url));
+    }
+
+    async clear() {
+	await this.store.clear();
+    }
+
+    async _put(method, url, reqHeaders, entry, partition = '') {
+	const key = baseKey(method, url);
+	const vary = parseVary(entry.headers.vary);
+	if (!vary.length && !partition) {
+	    await this.store.set(key, entry);
+	    return;
+	}
+	await this.store.set(key, { vary });
+	await this.store.set(variantKey(key, vary, reqHeaders, partition), entry);
+    }
+}
+
+function baseKey(method, url) {
+    return `${String(method).toUpperCase()} ${url}`;
+}
+
+// base key + a hash of the varied header values and the partition (no raw credentials in store keys)
+function variantKey(key, vary, reqHeaders, partition = '') {
+    const headers = new Headers(reqHeaders);
+    const values = vary.map(name => `${name}: ${headers.get(name) ?? ''}`).join('\n');
+    return `${key}\n${vary.join(',')}#${hash(values + '\n#' + partition)}`;
+}
+
+// 53-bit string hash (cyrb53); a key, not a secret
+function hash(str) {
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+	const ch = str.charCodeAt(i);
+	h1 = Math.imul(h1 ^ ch, 2654435761);
+	h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+function parseVary(value) {
+    if (!value) return [];
+    return value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean).sort();
+}
+
+/**
+ * Parses a `Cache-Control` header into `{ directive: value }` (`true` for valueless directives).
+ * @param {string|null} value
+ * @returns {object}
+ */
+export function parseCacheControl(value) {
+    const out = {};
+    if (!value) return out;
+    for (const part of value.split(',')) {
+	const [name, ...rest] = part.split('=');
+	const key = name.trim().toLowerCase();
+	if (!key) continue;
+	out[key] = rest.length ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+    }
+    return out;
+}
+
+export default ResponseCache;
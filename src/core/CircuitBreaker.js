@@ -0,0 +1,317 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import { CircuitOpenError } from './errors.js';
+
+/**
+ * CircuitBreaker
+ * --------------
+ * Fails fast against backends that are down, enabled with `new HTTP({ circuitBreaker })`.
+ *
+ * Every fetch attempt (including retries) goes through the circuit matching its key,
+ * so `SpecManager.call()` and `BatchLoader.run()` items are covered too. Per circuit:
+ *
+ * - `closed`    → requests pass; outcomes are recorded over the last `window` ms.
+ *                 The circuit opens after `failureThreshold` failures, or once at least
+ *                 `minRequests` outcomes were seen and the failure ratio reaches `failureRatio`.
+ * - `open`      → requests reject at once with `CircuitOpenError`, without a fetch, for `cooldown` ms.
+ * - `half-open` → after the cooldown, up to `halfOpenRequests` probes are let through (others still fail fast).
+ *                 `successThreshold` successful probes close the circuit; a failed probe opens it again.
+ *
+ * A failure is a network error, a timeout, or a response whose status is in `statuses`
+ * (override with `isFailure(res, error)`). Aborted requests are not counted.
+ *
+ * Circuits are keyed by host (default), by endpoint (`host` + path), or by `key(url, ctx)`;
+ * a request can name its circuit with `opts.circuitKey` (e.g. one per backend service).
+ *
+ * Usage:
+ * ```js
+ * const http = new HTTP({
+ *     circuitBreaker: { failureRatio: 0.5, minRequests: 10, cooldown: 15000 }
+ * });
+ * http.circuitBreaker.on('change', ({ key, to }) => banner.toggle(key, to !== 'closed'));
+ * ```
+ *
+ * @class CircuitBreaker
+ */
+export class CircuitBreaker {
+    static CLOSED = 'closed';
+    static OPEN = 'open';
+    static HALF_OPEN = 'half-open';
+
+    /**
+     * @param {object} [opts={}]
+     * @param {string|function} [opts.key='host'] - `'host'`, `'endpoint'`, or `(url, ctx) => string`.
+     * @param {number|null} [opts.failureThreshold=5] - Failures within `window` that open the circuit (`null` to disable).
+     * @param {number|null} [opts.failureRatio=null] - Failure ratio (0..1) within `window` that opens the circuit.
+     * @param {number} [opts.minRequests=10] - Outcomes needed within `window` before `failureRatio` applies.
+     * @param {number} [opts.window=60000] - Rolling window (ms) outcomes are counted over.
+     * @param {number} [opts.cooldown=30000] - Time (ms) an open circuit waits before letting probes through.
+     * @param {number} [opts.halfOpenRequests=1] - Concurrent probes allowed while half-open.
+     * @param {number} [opts.successThreshold=1] - Successful probes needed to close the circuit.
+     * @param {number[]} [opts.statuses] - Response statuses counted as failures (default: 500, 502, 503, 504).
+     * @param {function} [opts.isFailure] - `(res, error) => boolean`, replaces the default classification.
+     * @param {function} [opts.onStateChange] - Shorthand for `on('change', fn)`.
+     */
+    constructor({
+	key = 'host',
+	failureThreshold = 5,
+	failureRatio = null,
+	minRequests = 10,
+	window = 60000,
+	cooldown = 30000,
+	halfOpenRequests = 1,
+	successThreshold = 1,
+	statuses = [500, 502, 503, 504],
+	isFailure = null,
+	onStateChange = null
+    } = {}) {
+	this.key = key;
+	this.failureThreshold = failureThreshold;
+	this.failureRatio = failureRatio;
+	this.minRequests = minRequests;
+	this.window = window;
+	this.cooldown = cooldown;
+	this.halfOpenRequests = halfOpenRequests;
+	this.successThreshold = successThreshold;
+	this.statuses = statuses;
+	this.isFailure = isFailure;
+	this.circuits = new Map();  // key → circuit state
+	this.listeners = new Set(); // 'change' listeners
+	if (onStateChange) this.on('change', onStateChange);
+    }
+
+    /**
+     * Normalizes the `circuitBreaker` option of `HTTP`.
+     * @param {boolean|object|CircuitBreaker|null} opt - `true` (defaults), options, or an instance.
+     * @returns {CircuitBreaker|null}
+     */
+    static from(opt) {
+	if (!opt) return null;
+	if (opt instanceof CircuitBreaker) return opt;
+	return new CircuitBreaker(opt === true ? {} : opt);
+    }
+
+    /**
+     * Subscribes to state changes. The listener receives
+     * `{ key, from, to, failures, total, retryAt }` (`retryAt`: epoch ms of the next probe, while open).
+     * A listener that throws doesn't stop the others or the request; its error is rethrown in a microtask,
+     * where the host's global error handlers (`window.onerror`, `uncaughtException`) see it.
+     * @param {string} type - `'change'`.
+     * @param {function} fn
+     * @returns {CircuitBreaker} this
+     */
+    on(type, fn) {
+	if (type !== 'change')
+	    throw new Error(`CircuitBreaker: unknown event "${type}" (only "change" is emitted)`);
+	this.listeners.add(fn);
+	return this;
+    }
+
+    /**
+     * Removes a listener registered with `on()`.
+     * @returns {CircuitBreaker} this
+     */
+    off(type, fn) {
+	this.listeners.delete(fn);
+	return this;
+    }
+
+    /**
+     * Returns the circuit key of a request.
+     * @param {string} url
+     * @param {object} [ctx] - Dispatch context; `ctx.opts.circuitKey` wins.
+     * @returns {string}
+     */
+    keyFor(url, ctx = undefined) {
+	if (ctx?.opts?.circuitKey !== undefined && ctx.opts.circuitKey !== null)
+	    return String(ctx.opts.circuitKey);
+	if (typeof this.key === 'function')
+	    return String(this.key(url, ctx));
+
+	const parsed = new URL(url, typeof window !== 'undefined' ? window.location.href : 'http://localhost/');
+	return this.key === 'endpoint' ? parsed.host + parsed.pathname : parsed.host;
+    }
+
+    /**
+     * Current state of a circuit (`'closed'` for unknown keys). Moves `open` to `half-open` once the cooldown is over.
+     * @param {string} key
+     * @returns {string}
+     */
+    state(key) {
+	const circuit = this.circuits.get(key);
+	if (!circuit) return CircuitBreaker.CLOSED;
+	this._checkCooldown(key, circuit);
+	return circuit.state;
+    }
+
+    /**
+     * Takes a slot on a circuit before an attempt.
+     * @param {string} key
+     * @param {object} [info={}] - `{ url, method }`, for the error message.
+     * @returns {function} `done(res, error)`: reports the attempt's outcome (call exactly once).
+     * @throws {CircuitOpenError} While the circuit is open, or half-open with every probe slot taken.
+     */
+    acquire(key, { url = null, method = null } = {}) {
+	const circuit = this._circuit(key);
+	this._checkCooldown(key, circuit);
+
+	const probing = circuit.state === CircuitBreaker.HALF_OPEN;
+	if (circuit.state === CircuitBreaker.OPEN || (probing && circuit.probes >= this.halfOpenRequests)) {
+	    const label = [method, url].filter(Boolean).join(' ');
+	    throw new CircuitOpenError(`Circuit "${key}" is ${circuit.state}: ${label}`, {
+		url,
+		method,
+		key,
+		state: circuit.state,
+		retryAt: circuit.state === CircuitBreaker.OPEN ? circuit.openedAt + this.cooldown : null
+	    });
+	}
+
+	if (probing) circuit.probes++;
+	let reported = false;
+	return (res = null, error = null) => {
+	    if (reported) return;
+	    reported = true;
+	    if (probing) circuit.probes = Math.max(0, circuit.probes - 1);
+	    if (error?.name === 'AbortError' || error?.name === 'CircuitOpenError') return; // no verdict
+	    this.record(key, this._failed(res, error));
+	};
+    }
+
+    /**
+     * Records an outcome on a circuit (called through `acquire()`; usable directly for custom transports).
+     * @param {string} key
+     * @param {boolean} failed
+     */
+    record(key, failed) {
+	const circuit = this._circuit(key);
+	const now = Date.now();
+
+	if (circuit.state === CircuitBreaker.HALF_OPEN) {
+	    if (failed) return this._open(key, circuit, now);
+	    if (++circuit.successes >= this.successThreshold) this._close(key, circuit);
+	    return;
+	}
+	if (circuit.state === CircuitBreaker.OPEN) return; // a request that started before the circuit opened
+
+	circuit.outcomes.push({ time: now, failed });
+	this._prune(circuit, now);
+	const total = circuit.outcomes.length;
+	const failures = circuit.outcomes.filter(o => o.failed).length;
+	if (!failed || !failures) return;
+
+	const overCount = this.failureThreshold !== null && failures >= this.failureThreshold;
+	const overRatio = this.failureRatio !== null && total >= this.minRequests && failures / total >= this.failureRatio;
+	if (overCount || overRatio) this._open(key, circuit, now);
+    }
+
+    /**
+     * Opens a circuit by hand (e.g. on a maintenance notice).
+     * @param {string} key
+     * @returns {CircuitBreaker} this
+     */
+    trip(key) {
+	this._open(key, this._circuit(key), Date.now());
+	return this;
+    }
+
+    /**
+     * Closes one circuit, or forgets every circuit when called without a key.
+     * @param {string} [key]
+     * @returns {CircuitBreaker} this
+     */
+    reset(key = undefined) {
+	if (key === undefined) {
+	    for (const [k, circuit] of this.circuits) this._close(k, circuit);
+	    this.circuits.clear();
+	} else if (this.circuits.has(key)) {
+	    this._close(key, this.circuits.get(key));
+	}
+	return this;
+    }
+
+    /**
+     * State of every known circuit, e.g. to render "service degraded" banners.
+     * @returns {object} `{ [key]: { state, failures, total, retryAt } }`
+     */
+    snapshot() {
+	const out = {};
+	for (const [key, circuit] of this.circuits) {
+	    this._checkCooldown(key, circuit);
+	    out[key] = this._describe(circuit);
+	}
+	return out;
+    }
+
+    _circuit(key) {
+	let circuit = this.circuits.get(key);
+	if (!circuit) {
+	    circuit = { state: CircuitBreaker.CLOSED, outcomes: [], openedAt: 0, probes: 0, successes: 0 };
+	    this.circuits.set(key, circuit);
+	}
+	return circuit;
+    }
+
+    _failed(res, error) {
+	if (typeof this.isFailure === 'function') return !!this.isFailure(res, error);
+	if (error) return true;
+	return !!res && this.statuses.includes(res.status);
+    }
+
+    _prune(circuit, now) {
+	while (circuit.outcomes.length && circuit.outcomes[0].time <= now - this.window)
+	    circuit.outcomes.shift();
+    }
+
+    _checkCooldown(key, circuit) {
+	if (circuit.state === CircuitBreaker.OPEN && Date.now() >= circuit.openedAt + this.cooldown) {
+	    circuit.probes = 0;
+	    circuit.successes = 0;
+	    this._transition(key, circuit, CircuitBreaker.HALF_OPEN);
+	}
+    }
+
+    _open(key, circuit, now) {
+	circuit.openedAt = now;
+	circuit.probes = 0;
+	circuit.successes = 0;
+	if (circuit.state === CircuitBreaker.OPEN) return;
+	this._transition(key, circuit, CircuitBreaker.OPEN);
+    }
+
+    _close(key, circuit) {
+	circuit.outcomes = [];
+	circuit.probes = 0;
+	circuit.successes = 0;
+	if (circuit.state === CircuitBreaker.CLOSED) return;
+	this._transition(key, circuit, CircuitBreaker.CLOSED);
+    }
+
+    _transition(key, circuit, to) {
+	const from = circuit.state;
+	circuit.state = to;
+	const event = { key, from, to, ...this._describe(circuit) };
+	delete event.state;
+	for (const fn of this.listeners) {
+	    try {
+		fn(event);
+	    } catch (err) {
+		queueMicrotask(() => { throw err; });
+	    }
+	}
+    }
+
+    _describe(circuit) {
+	this._prune(circuit, Date.now());
+	return {
+	    state: circuit.state,
+	    failures: circuit.outcomes.filter(o => o.failed).length,
+	    total: circuit.outcomes.length,
+	    retryAt: circuit.state === CircuitBreaker.OPEN ? circuit.openedAt + this.cooldown : null
+	};
+    }
+}
+
+export default CircuitBreaker;
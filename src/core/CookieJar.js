@@ -0,0 +1,234 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * CookieJar
+ * ---------
+ * In-memory cookie store for runtimes without a browser jar (Node SSR, CLI scripts, tests),
+ * enabled with `new HTTP({ cookieJar: true })`.
+ *
+ * - Parses `Set-Cookie` (`Domain`, `Path`, `Expires`, `Max-Age`, `Secure`, `HttpOnly`, `SameSite`).
+ * - Sends matching cookies (domain, path, `Secure`, expiry) in the `Cookie` header.
+ * - Serializable: `JSON.stringify(jar)` / `CookieJar.fromJSON(data)` to save and restore sessions.
+ *
+ * Not implemented: public-suffix checks (a response can set a cookie for any parent domain of its host)
+ * and `SameSite` enforcement (there is no cross-site context outside a browser; the attribute is kept as data).
+ *
+ * Usage:
+ * ```js
+ * const http = new HTTP({ url: 'https://app.example.com/', cookieJar: true });
+ * await http.post('/login', { user, password });   // Set-Cookie: sid=...
+ * await http.get('/account');                      // Cookie: sid=...
+ * await fs.writeFile('session.json', JSON.stringify(http.cookieJar));
+ * ```
+ *
+ * @class CookieJar
+ */
+export class CookieJar {
+    /**
+     * @param {object[]} [cookies=[]] - Cookies as produced by `toJSON().cookies`.
+     */
+    constructor(cookies = []) {
+	this.cookies = cookies.map(cookie => ({ ...cookie }));
+    }
+
+    /**
+     * Normalizes the `cookieJar` option of `HTTP`.
+     * @param {boolean|CookieJar|object|null} opt - `true`, an instance, or serialized data (`toJSON()` output).
+     * @returns {CookieJar|null}
+     */
+    static from(opt) {
+	if (!opt) return null;
+	if (opt instanceof CookieJar) return opt;
+	if (opt === true) return new CookieJar();
+	return CookieJar.fromJSON(opt);
+    }
+
+    /**
+     * Restores a jar saved with `toJSON()` (or its JSON string).
+     * @param {object|string} data
+     * @returns {CookieJar}
+     */
+    static fromJSON(data) {
+	const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+	return new CookieJar(Array.isArray(parsed?.cookies) ? parsed.cookies : []);
+    }
+
+    /**
+     * @returns {{ version: number, cookies: object[] }} Unexpired cookies, session cookies included.
+     */
+    toJSON() {
+	this._purge();
+	return { version: 1, cookies: this.cookies.map(cookie => ({ ...cookie })) };
+    }
+
+    /**
+     * Stores one `Set-Cookie` header value received from `url`.
+     *
+     * @param {string} header - e.g. `"sid=abc; Path=/; HttpOnly; Max-Age=3600"`
+     * @param {string} url - The URL of the response.
+     * @returns {object|null} The stored cookie, or null if it was rejected or deleted.
+     */
+    setCookie(header, url) {
+	const target = new URL(url);
+	const [pair, ...attrs] = String(header).split(';');
+	const eq = pair.indexOf('=');
+	if (eq === -1) return null;
+	const name = pair.slice(0, eq).trim();
+	const value = pair.slice(eq + 1).trim();
+	if (!name) return null;
+
+	const host = target.hostname.toLowerCase();
+	const now = Date.now();
+	const cookie = {
+	    name,
+	    value,
+	    domain: host,
+	    hostOnly: true,
+	    path: defaultPath(target.pathname),
+	    expires: null,      // epoch ms, null for session cookies
+	    secure: false,
+	    httpOnly: false,
+	    sameSite: null,
+	    created: now
+	};
+
+	let maxAge = null;
+	for (const attr of attrs) {
+	    const idx = attr.indexOf('=');
+	    const key = (idx === -1 ? attr : attr.slice(0, idx)).trim().toLowerCase();
+	    const val = idx === -1 ? '' : attr.slice(idx + 1).trim();
+	    switch (key) {
+	    case 'domain': {
+		const domain = val.replace(/^\./, '').toLowerCase();
+		if (!domain) break;
+		if (!domainMatch(host, domain)) return null; // not allowed to set cookies for another site
+		cookie.domain = domain;
+		cookie.hostOnly = false;
+		break;
+	    }
+	    case 'path':
+		if (val.startsWith('/')) cookie.path = val;
+		break;
+	    case 'expires': {
+		const time = Date.parse(val);
+		if (!Number.isNaN(time)) cookie.expires = time;
+		break;
+	    }
+	    case 'max-age':
+		if (/^-?\d+$/.test(val)) maxAge = parseInt(val, 10);
+		break;
+	    case 'secure':
+		cookie.secure = true;
+		break;
+	    case 'httponly':
+		cookie.httpOnly = true;
+		break;
+	    case 'samesite':
+		cookie.sameSite = val || null;
+		break;
+	    default:
+		break;
+	    }
+	}
+	if (maxAge !== null) cookie.expires = now + maxAge * 1000; // Max-Age wins over Expires
+
+	const idx = this.cookies.findIndex(c => c.name === name && c.domain === cookie.domain && c.path === cookie.path);
+	if (idx !== -1) {
+	    cookie.created = this.cookies[idx].created;
+	    this.cookies.splice(idx, 1);
+	}
+	if (cookie.expires !== null && cookie.expires <= now) return null; // expired: deletion
+	this.cookies.push(cookie);
+	return cookie;
+    }
+
+    /**
+     * Stores every `Set-Cookie` of a response.
+     * @param {string} url - The URL the response came from.
+     * @param {Response|Headers} res
+     * @returns {number} Number of cookies stored.
+     */
+    store(url, res) {
+	const headers = res.headers ?? res;
+	const values = typeof headers.getSetCookie === 'function'
+	      ? headers.getSetCookie()
+	      : splitSetCookie(headers.get('set-cookie'));
+	let count = 0;
+	for (const value of values)
+	    if (this.setCookie(value, url)) count++;
+	return count;
+    }
+
+    /**
+     * Cookies to send to `url`, most specific path first.
+     * @param {string} url
+     * @returns {object[]}
+     */
+    getCookies(url) {
+	this._purge();
+	const target = new URL(url);
+	const host = target.hostname.toLowerCase();
+	const secure = target.protocol === 'https:' || ['localhost', '127.0.0.1', '[::1]'].includes(host);
+
+	return this.cookies
+	    .filter(c => (c.hostOnly ? c.domain === host : domainMatch(host, c.domain))
+		    && pathMatch(target.pathname || '/', c.path)
+		    && (!c.secure || secure))
+	    .sort((a, b) => (b.path.length - a.path.length) || (a.created - b.created));
+    }
+
+    /**
+     * @param {string} url
+     * @returns {string} `Cookie` header value (`"a=1; b=2"`), or `''`.
+     */
+    cookieHeader(url) {
+	return this.getCookies(url).map(c => `${c.name}=${c.value}`).join('; ');
+    }
+
+    /**
+     * Removes cookies; with a `domain`, only that domain's (and its subdomains').
+     * @param {string} [domain]
+     */
+    clear(domain = undefined) {
+	if (domain === undefined) {
+	    this.cookies = [];
+	    return;
+	}
+	const d = domain.replace(/^\./, '').toLowerCase();
+	this.cookies = this.cookies.filter(c => !domainMatch(c.domain, d));
+    }
+
+    _purge() {
+	const now = Date.now();
+	this.cookies = this.cookies.filter(c => c.expires === null || c.expires > now);
+    }
+}
+
+function domainMatch(host, domain) {
+    return host === domain || (host.endsWith('.' + domain) && !/^\d+\.\d+\.\d+\.\d+$/.test(host));
+}
+
+function pathMatch(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+// RFC 6265 default-path: the request path up to its last '/'
+function defaultPath(path) {
+    if (!path || !path.startsWith('/')) return '/';
+    const idx = path.lastIndexOf('/');
+    return idx <= 0 ? '/' : path.slice(0, idx);
+}
+
+// Fallback for runtimes without Headers.getSetCookie(): split a combined header,
+// without splitting the comma inside `Expires=Wed, 21 Oct 2015 ...`
+function splitSetCookie(value) {
+    if (!value) return [];
+    return value.split(/,(?=\s*[^;,=\s]+=)/).map(s => s.trim()).filter(Boolean);
+}
+
+export default CookieJar;
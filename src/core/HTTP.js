@@ -18,6 +18,7 @@
  * - delete(path, opts = {})             → Perform a DELETE request (no request body).
  * - head(path, opts = {})               → Perform a HEAD request to fetch headers only.
  * - options(path, opts = {})            → Perform an OPTIONS request for CORS or method introspection.
+ * - sse(path, opts = {})                → Open a Server-Sent Events stream (see `EventStream`).
  
  
  * All other methods are internal and subject to change.
@@ -28,9 +29,28 @@
  * - Automatic parsing of request payloads:
  *     • Objects → JSON
  *     • FormData, URLSearchParams, string, Blob, ArrayBuffer supported
- * - Automatic parsing of response formats (JSON, text, blob, etc.)
+ *     • Plain objects with files as multipart/form-data (`multipart: true`, see `multipart.js`)
+ * - Content-type driven response parsing (JSON / `+json`; XML, CSV, FormData, Blob, ... opt-in) with a per-request `responseType` (`http.parsers`)
  * - Flexible response formats: body only, full metadata, or raw `Response`
- * - Timeout support (via AbortController)
+ * - Streaming response formats: `stream`, `bytes`, `lines`, `ndjson` (see `streams.js`)
+ * - Timeout support (via AbortController), composed with a caller-supplied `signal`
+ * - Per-id cancellation of in-flight requests (`http.cancel(id)`)
+ * - Optional `throwOnError` mode rejecting with typed errors (`HTTPError`, `TimeoutError`, `AbortError`, `NetworkError`)
+ * - Optional retries with exponential backoff, jitter and `Retry-After` support (`opts.retry`)
+ * - Ordered async interceptors before fetch, before parsing, and after processing (`http.interceptors`)
+ * - Upload / download progress callbacks (`onUploadProgress`, `onDownloadProgress`)
+ * - Optional GET/HEAD response cache with ETag / Last-Modified revalidation (`opts.responseCache`, `http.cache`)
+ * - Optional per-host / per-path token-bucket rate limiting, backing off on 429 (`opts.rateLimit`, `http.rateLimiter`)
+ * - Optional circuit breaker failing fast with `CircuitOpenError` while a backend is down (`opts.circuitBreaker`, `http.circuitBreaker`)
+ * - Optional multi-origin failover with health cooldown, and hedged requests (`opts.origins`, `http.origins`)
+ * - Pluggable auth providers (bearer with refresh on 401, basic, API key, signer) (`opts.auth`, `http.auth`)
+ * - Request lifecycle events (`http.on('request:end', fn)`, ...) and optional latency / error-rate metrics (`opts.metrics`, `http.metrics`)
+ * - Pluggable transport instead of the global `fetch()` (`opts.transport`, `setTransport()`; see `MockTransport`)
+ * - Optional cookie jar for Node / CLI use, following redirects itself to keep their cookies (`opts.cookieJar`, `http.cookieJar`)
+ * - Child clients sharing this configuration live, with their own base path and headers (`http.extend()`)
+ * - Runtime-mutable defaults (`setDefaults()`, `setHeader()` / `removeHeader()`, `setBase()`) and instance `fetchDefaults`
+ * - Optional strict option validation with "did you mean" suggestions (`opts.strict`, `OptionError`)
+ * - Optional response validation against a JSON Schema or validator function (`opts.schema`, `opts.validate`, `SchemaValidationError`)
  * - Compatible with SyncLoader and BatchLoader pipelines
  *
  * ✅ Usage:
@@ -47,9 +67,33 @@
  */
 
 import FETCH_CONSTANTS from './fetch_enum.js';
+import Interceptors    from './Interceptors.js';
+import ResponseParsers from './ResponseParsers.js';
+import {
+    resolveRetryPolicy,
+    shouldRetry,
+    computeRetryDelay,
+    sleep
+} from '../utils/retry.js';
+import { HTTPError, TimeoutError, AbortError, CircuitOpenError, SchemaValidationError, classifyFetchError } from './errors.js';
+import { STREAM_FORMATS, trackStream, streamAs } from './streams.js';
+import { trackUpload, trackDownload, bodyLength } from './progress.js';
+import ResponseCache from '../cache/ResponseCache.js';
+import ResponseSchema from './ResponseSchema.js';
+import RateLimiter from './RateLimiter.js';
+import { createAuth } from '../auth/index.js';
+import { serializeQuery } from '../utils/query.js';
+import { toFormData } from './multipart.js';
+import CookieJar from './CookieJar.js';
+import RequestMetrics from './RequestMetrics.js';
+import CircuitBreaker from './CircuitBreaker.js';
+import OriginPool from './OriginPool.js';
+import EventStream from '../events/EventStream.js';
+import { validateOptions } from './validation.js';
 export class HTTP {
     // Default fetch behavior shared across all instances (can be extended)
     // Example: override in a subclass to set global `signal`, `credentials`, etc.
+    // Per instance, prefer `opts.fetchDefaults` / `setDefaults()`.
     // See `fetch_enum.js` for available fetch config patterns.
     static FETCH_DEFAULTS = {
 	//"signal": false
@@ -65,6 +109,10 @@ export class HTTP {
     static get BODYLESS_METHODS() {
 	return ['HEAD', 'GET', 'OPTIONS', 'DELETE'];
     }
+
+    static get STREAM_FORMATS() {
+	return STREAM_FORMATS;
+    }
     /**
      * Constructs a new HTTP instance.
      *
@@ -72,13 +120,261 @@ export class HTTP {
      *   - `url` or `host` / `protocol` / `port`: used to build base URL
      *   - `headers`: default headers (e.g., Authorization)
      *   - `absolute`: if true, disables base path resolution per request
+     *   - `interceptors`: optional `{ request, response, result }` hooks to pre-register (see `Interceptors.js`)
      *   - Any additional fields are parsed by `parseOpts()`
+     * @param {HTTP|null} [parent=null] - Set by `extend()`: `opts` are then overrides on top of the parent.
      */
-    constructor(opts = {}) {
+    constructor(opts = {}, parent = null) {
+	this.parent = parent;
+	this.activeRequests = {};
+	this.activeControllers = {}; // id → Set<AbortController>, used by cancel()
+	this.listeners = new Map();      // event type → Set<fn>, see on()
+	this.sharedRequests = new Map(); // share key → pending promise, see _dispatch()
+	this.lockQueues = {};            // id → waiters parked by lockBehavior 'queue' / 'latest'
+	this.originPools = parent ? parent.originPools : new Map(); // per-request `origins` → OriginPool, see _originPoolFor()
+	if (parent) {
+	    this._inherit(parent, opts);
+	    return;
+	}
+
 	this.opts = this.parseOpts(opts);
-	this.base = this.buildBase(this.opts.url);
+	this.origins = OriginPool.from(opts.origins); // null unless enabled
+	this.base = this.buildBase(this.opts.url ?? this.origins?.primary);
 	this.headers = this.opts.headers || {};
-	this.activeRequests = {};
+	this.interceptors = new Interceptors(opts.interceptors);
+	this.parsers = new ResponseParsers(opts.parsers);
+	this._checkOptions(opts, 'HTTP');
+	this.cache = ResponseCache.from(opts.responseCache); // null unless enabled
+	this.rateLimiter = RateLimiter.from(opts.rateLimit); // null unless enabled
+	this.circuitBreaker = CircuitBreaker.from(opts.circuitBreaker); // null unless enabled
+	this.auth = createAuth(opts.auth); // null unless set, see setAuth()
+	this.cookieJar = CookieJar.from(opts.cookieJar); // null unless enabled
+	this.setTransport(opts.transport ?? null);
+	this.requestSeq = 0;             // last requestId handed out
+	this.metrics = RequestMetrics.from(opts.metrics, this); // null unless enabled
+    }
+
+    /**
+     * Creates a child client sharing this one's configuration, e.g. one per API area:
+     *
+     * ```js
+     * const api = new HTTP({ url: 'https://api.example.com/v1/', auth: { type: 'bearer', token }, timeout: 5000 });
+     * const billing = api.extend({ url: 'billing/', headers: { 'X-Service': 'billing' } });
+     * const users = api.extend({ url: 'users/', retry: { attempts: 5 } });
+     * await billing.get('invoices');   // → https://api.example.com/v1/billing/invoices
+     * ```
+     *
+     * The child reads everything it doesn't override from the parent *live*: later changes on the parent
+     * (`setAuth()` with a rotated token, a new default header, `opts.timeout`, an added interceptor, ...)
+     * show up in existing children.
+     *
+     * - `opts`: overridden keys win; plain-object values (`retry`, ...) are deep-merged over the parent's.
+     * - `url`: a relative URL resolves against the parent's base (`'billing/'` → `.../v1/billing/`).
+     * - `headers`: the child's are sent on top of the parent's (see `getHeaders()`).
+     * - `interceptors`: the parent's run first, then the child's own.
+     * - `parsers`: rules given here are checked before the parent's.
+     * - `auth`, `transport`, `responseCache`, `rateLimit`, `circuitBreaker`, `origins`, `cookieJar`, `metrics`:
+     *   the parent's instance is shared unless overridden (`false` / `null` disables it for the child).
+     *
+     * Lock state (`activeRequests`, queues, `cancel(id)`) and `on()` listeners are the child's own;
+     * lifecycle events of the child also reach the parent's listeners (and so its `metrics`).
+     *
+     * @param {object} [overrides={}] - Any constructor option.
+     * @returns {HTTP} The child (same class as this instance).
+     */
+    extend(overrides = {}) {
+	return new this.constructor(overrides, this);
+    }
+
+    // wires a child created by extend() to its parent
+    _inherit(parent, overrides) {
+	const parsed = this.parseOpts(overrides);
+
+	// opts: the parent's, live, under the overridden keys
+	this.opts = Object.create(parent.opts);
+	for (const key of Object.keys(overrides)) {
+	    if (!(key in parsed) || key === 'headers') continue;
+	    let value = parsed[key];
+	    Object.defineProperty(this.opts, key, {
+		get: () => (isPlainObject(value) && isPlainObject(parent.opts[key]) ? deepMerge(parent.opts[key], value) : value),
+		set: (next) => { value = next; },
+		enumerable: true,
+		configurable: true
+	    });
+	}
+	this.headers = parsed.headers;
+	Object.defineProperty(this.opts, 'headers', { get: () => this.getHeaders(), enumerable: true, configurable: true });
+
+	// read from the parent until assigned on the child; an own `url` resolves against the parent's base
+	inheritLive(this, {
+	    base: () => (Object.hasOwn(this.opts, 'url') && this.opts.url ? resolveBase(parent.base, this.opts.url) : parent.base),
+	    parsers: () => parent.parsers,
+	    cache: () => parent.cache,
+	    rateLimiter: () => parent.rateLimiter,
+	    circuitBreaker: () => parent.circuitBreaker,
+	    origins: () => parent.origins,
+	    auth: () => parent.auth,
+	    cookieJar: () => parent.cookieJar,
+	    transport: () => parent.transport,
+	    metrics: () => parent.metrics
+	});
+	Object.defineProperty(this, 'requestSeq', { // one sequence for the whole family
+	    get: () => parent.requestSeq,
+	    set: (value) => { parent.requestSeq = value; },
+	    configurable: true
+	});
+	if (!parsed.url && ['host', 'protocol', 'port'].some(key => overrides[key] !== undefined))
+	    this.base = this.buildBase();
+
+	this.interceptors = new Interceptors(overrides.interceptors, parent.interceptors);
+	if (overrides.parsers) this.parsers = new ResponseParsers(overrides.parsers, parent.parsers);
+	this._checkOptions(overrides, 'HTTP.extend');
+	if ('responseCache' in overrides) this.cache = ResponseCache.from(overrides.responseCache);
+	if ('rateLimit' in overrides) this.rateLimiter = RateLimiter.from(overrides.rateLimit);
+	if ('circuitBreaker' in overrides) this.circuitBreaker = CircuitBreaker.from(overrides.circuitBreaker);
+	if ('origins' in overrides) this.origins = OriginPool.from(overrides.origins);
+	if ('auth' in overrides) this.setAuth(overrides.auth);
+	if ('cookieJar' in overrides) this.cookieJar = CookieJar.from(overrides.cookieJar);
+	if ('transport' in overrides) this.setTransport(overrides.transport);
+	if ('metrics' in overrides) this.metrics = RequestMetrics.from(overrides.metrics, this);
+    }
+
+    /**
+     * Default headers sent with every request: the parent's (see `extend()`), then this instance's own `headers`.
+     * Names are matched case-insensitively; a `null` value hides the parent's header (see `removeHeader()`).
+     * @returns {object}
+     */
+    getHeaders() {
+	const out = this.parent?.getHeaders() ?? {};
+	for (const [name, value] of Object.entries(this.headers)) {
+	    for (const key of Object.keys(out))
+		if (key.toLowerCase() === name.toLowerCase()) delete out[key];
+	    if (value !== null && value !== undefined) out[name] = value;
+	}
+	return out;
+    }
+
+    /**
+     * Sets a default header for every later request (replacing any spelling of the same name).
+     *
+     * @param {string} name
+     * @param {string|null} value - `null` / `undefined` removes the header (see `removeHeader()`).
+     * @returns {HTTP} this
+     *
+     * @example
+     * http.setHeader('Authorization', `Bearer ${rotatedToken}`);
+     */
+    setHeader(name, value) {
+	if (typeof name !== 'string' || !name)
+	    throw new Error('HTTP: setHeader() needs a header name');
+	if (value === null || value === undefined) return this.removeHeader(name);
+	this._dropHeader(name);
+	this.headers[name] = String(value);
+	return this;
+    }
+
+    /**
+     * Removes a default header. On a child (see `extend()`), a header set by the parent is hidden too.
+     * @param {string} name
+     * @returns {HTTP} this
+     */
+    removeHeader(name) {
+	this._dropHeader(name);
+	const inherited = Object.keys(this.parent?.getHeaders() ?? {}).some(key => key.toLowerCase() === name.toLowerCase());
+	if (inherited) this.headers[name] = null;
+	return this;
+    }
+
+    _dropHeader(name) {
+	for (const key of Object.keys(this.headers))
+	    if (key.toLowerCase() === name.toLowerCase()) delete this.headers[key];
+    }
+
+    /**
+     * Changes the base URL of later requests, validated like the constructor's (see `parseOpts()` / `buildBase()`).
+     * The resulting base must parse as a URL (relative ones only against the page, in browsers); otherwise
+     * this throws and the current base is kept, instead of every later request failing.
+     *
+     * @param {string|object} base - A URL, or `{ protocol, host, port }` (missing parts keep their current value).
+     *   On a child (see `extend()`), a relative URL resolves against the parent's base.
+     * @returns {HTTP} this
+     * @throws {Error} If the URL is empty or the resulting base is not a valid URL.
+     *
+     * @example
+     * http.setBase('https://staging.example.com/api/');
+     * http.setBase({ host: 'localhost', port: 8080 });
+     */
+    setBase(base) {
+	if (typeof base === 'string') {
+	    const url = this.parseOpts({ url: base }).url;
+	    if (!url) throw new Error('HTTP: setBase() needs a non-empty URL');
+	    checkBase(this.parent ? resolveBase(this.parent.base, url) : this.buildBase(url), base);
+	    this.opts.url = url;
+	    this.base = this.parent ? undefined : this.buildBase(url); // a child resolves its url live, see _inherit()
+	    return this;
+	}
+
+	const parsed = this.parseOpts({
+	    protocol: base?.protocol ?? this.opts.protocol,
+	    host: base?.host ?? this.opts.host,
+	    port: base?.port ?? this.opts.port ?? undefined
+	});
+	const { protocol, host, port, url } = this.opts;
+	this.opts.protocol = parsed.protocol;
+	this.opts.host = parsed.host;
+	this.opts.port = parsed.port;
+	this.opts.url = undefined;
+	const built = this.buildBase();
+	try {
+	    checkBase(built, built);
+	} catch (err) {
+	    Object.assign(this.opts, { protocol, host, port, url }); // keep the current base
+	    throw err;
+	}
+	this.base = built;
+	return this;
+    }
+
+    /**
+     * Changes instance defaults at runtime, validated like the constructor's options (see `parseOpts()`).
+     * Only the given keys change; later requests (and children, see `extend()`) pick them up.
+     *
+     * - request options: `timeout`, `retry`, `format`, `json`, `responseType`, `queryStyle`, `throwOnError`, ...
+     * - fetch options (`mode`, `credentials`, `cache`, ...), directly or under `fetchDefaults`;
+     *   invalid values are dropped (see `buildDefaultFetchOpts()`), `null` clears an instance value
+     * - `headers` → merged through `setHeader()`
+     * - `url` / `protocol` / `host` / `port` → `setBase()`, applied first: an invalid base throws before anything changes
+     * - `auth` → `setAuth()`, `transport` → `setTransport()`
+     *
+     * @param {object} [defaults={}]
+     * @returns {HTTP} this
+     *
+     * @example
+     * http.setDefaults({ url: 'https://staging.example.com/', timeout: 10000, credentials: 'include' });
+     */
+    setDefaults(defaults = {}) {
+	this._checkOptions(defaults, 'HTTP.setDefaults');
+	const { headers, fetchDefaults, url, protocol, host, port, auth, transport, ...rest } = defaults;
+	if (url !== undefined)
+	    this.setBase(url);
+	else if ([protocol, host, port].some(value => value !== undefined))
+	    this.setBase({ protocol, host, port });
+
+	const flat = { ...fetchDefaults, ...rest };
+	const parsed = this.parseOpts(flat);
+
+	for (const key of Object.keys(flat)) {
+	    if (key in FETCH_CONSTANTS && (flat[key] === null || flat[key] === undefined)) {
+		if (Object.hasOwn(this.opts, key)) delete this.opts[key];
+	    } else if (key in parsed) {
+		this.opts[key] = parsed[key];
+	    }
+	}
+	for (const [name, value] of Object.entries(headers ?? {}))
+	    this.setHeader(name, value);
+	if (auth !== undefined) this.setAuth(auth);
+	if (transport !== undefined) this.setTransport(transport);
+	return this;
     }
 
     async get(path, opts = {}) {
@@ -107,6 +403,146 @@ export class HTTP {
 	return this._bodyRequest('PATCH', path, data, opts);
     }
 
+    /**
+     * Opens a Server-Sent Events stream over this instance (default headers, base URL,
+     * interceptors and `params` all apply). Connects immediately.
+     *
+     * @param {string} path - Endpoint path.
+     * @param {object} [opts={}] - See `EventStream` (e.g. `method`, `data`, `on`, `onMessage`, `lastEventId`).
+     * @returns {EventStream}
+     *
+     * @example
+     * const feed = http.sse('/notifications', { on: { alert: (ev) => toast(ev.data) } });
+     * // later
+     * feed.close();
+     */
+    sse(path, opts = {}) {
+	return new EventStream(this, path, opts);
+    }
+
+    /**
+     * Sets (or clears) the auth provider used by every request.
+     *
+     * @param {AuthProvider|object|function|null} auth - A provider, `{ type: 'bearer' | 'basic' | 'apiKey' | 'signer', ...opts }`,
+     *   a signing function, or `null` to remove it. See `auth/index.js`.
+     * @returns {HTTP} this
+     *
+     * @example
+     * http.setAuth({ type: 'bearer', token, refresh: () => renewToken() });
+     * http.setAuth({ type: 'apiKey', key: 'abc123', in: 'query', name: 'api_key' });
+     */
+    setAuth(auth) {
+	this.auth = createAuth(auth);
+	return this;
+    }
+
+    /**
+     * Sets (or clears) the transport every request is sent with.
+     *
+     * @param {function|{fetch: function}|null} transport - A function with `fetch()`'s signature, an object with
+     *   a `fetch()` method (e.g. a `MockTransport`), or `null` for the global `fetch()` (looked up on each call).
+     * @returns {HTTP} this
+     *
+     * @example
+     * const mock = new MockTransport().get('/config', { json: { debug: true } });
+     * http.setTransport(mock);
+     */
+    setTransport(transport) {
+	if (transport && typeof transport !== 'function' && typeof transport.fetch !== 'function')
+	    throw new Error('HTTP: transport must be a function or an object with a fetch() method');
+	this.transport = transport || null;
+	return this;
+    }
+
+    /**
+     * Subscribes to request lifecycle events.
+     *
+     * - `request:start` → the request got its lock slot and is about to run
+     * - `request:retry` → an attempt failed and another one follows (`attempt`, `delay`)
+     * - `request:end`   → the result is ready (for streaming formats: the body was fully read or cancelled)
+     * - `request:error` → the request rejected (network error, timeout, `throwOnError`, ...)
+     * - `request:abort` → the request was aborted (caller `signal`, `cancel(id)`, `lockBehavior: 'latest'`)
+     * - `'*'`           → every event
+     *
+     * Payload: `{ type, requestId, id, method, url, host, status, durationMs, attempts, cache,
+     * bytes: { sent, received }, lock: { id, behavior, active, queued, waitedMs }, error }`.
+     * `bytes` are `null` when unknown; bodies are only counted while someone listens.
+     * Listener errors are logged and never affect the request. See `RequestMetrics` for an aggregator.
+     *
+     * @param {string} type
+     * @param {function} fn - `(event) => void`
+     * @returns {HTTP} this
+     *
+     * @example
+     * http.on('request:end', (ev) => telemetry.timing('http', ev.durationMs, { host: ev.host, status: ev.status }));
+     */
+    on(type, fn) {
+	if (typeof fn !== 'function')
+	    throw new Error(`HTTP: listener for "${type}" must be a function`);
+	if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+	this.listeners.get(type).add(fn);
+	return this;
+    }
+
+    /**
+     * Removes a listener registered with `on()`.
+     * @returns {HTTP} this
+     */
+    off(type, fn) {
+	const set = this.listeners.get(type);
+	set?.delete(fn);
+	if (set && !set.size) this.listeners.delete(type);
+	return this;
+    }
+
+    _emit(type, ctx, extra = {}) {
+	const targets = this._listenersFor(type);
+	if (!targets.length) return;
+
+	let host = null;
+	try { host = new URL(ctx.url, globalThis.location?.href).host; } catch (e) { /* relative URL outside a browser */ }
+	const event = {
+	    type,
+	    requestId: ctx.requestId,
+	    id: ctx.opts.id ?? null,
+	    method: ctx.method,
+	    url: ctx.url,
+	    host,
+	    status: null,
+	    durationMs: performance.now() - ctx.start,
+	    attempts: ctx.meta.attempts ?? null,
+	    cache: ctx.meta.cache ?? null,
+	    bytes: { ...ctx.bytes },
+	    lock: ctx.lock,
+	    error: null,
+	    ...extra
+	};
+	for (const fn of targets) {
+	    try {
+		fn(event);
+	    } catch (err) {
+		console.error(`HTTP: "${type}" listener failed`, err);
+	    }
+	}
+    }
+
+    // own listeners for `type` (and '*'), then the parent's: a child's events reach the parent too
+    _listenersFor(type) {
+	const own = [...(this.listeners.get(type) ?? []), ...(this.listeners.get('*') ?? [])];
+	return this.parent ? own.concat(this.parent._listenersFor(type)) : own;
+    }
+
+    _hasListeners() {
+	return this.listeners.size > 0 || !!this.parent?._hasListeners();
+    }
+
+    // sends through `this.transport`, else the global fetch()
+    _fetch(url, init) {
+	const transport = this.transport;
+	if (!transport) return fetch(url, init);
+	return typeof transport === 'function' ? transport(url, init) : transport.fetch(url, init);
+    }
+
     /**
      * Generic request dispatcher.
      * Decides between body/no-body request based on method.
@@ -120,8 +556,10 @@ export class HTTP {
         
         if (this.constructor.BODY_METHODS.includes(method)) {
             // Prefer opts.body, fallback to opts.data
-            const bodyData = opts.body !== undefined ? opts.body : opts.data;
-            return this._bodyRequest(method, url, bodyData, opts);
+            // (stripped from opts so the encoded body isn't overwritten by the raw one)
+            const { body, data, ...rest } = opts;
+            const bodyData = body !== undefined ? body : data;
+            return this._bodyRequest(method, url, bodyData, rest);
         } 
         
         if (this.constructor.BODYLESS_METHODS.includes(method)) {
@@ -151,10 +589,43 @@ export class HTTP {
      * @param {boolean} [opts.absolute=false] - If true, bypasses base URL when building request paths.
      * @param {number|null} [opts.timeout=null] - Optional timeout in milliseconds (if supported by fetch polyfill).
      * @param {boolean} [opts.json=true] - If true, automatically JSON-encode body for `POST`, and decode responses as JSON.
-     * @param {string} [opts.format='body'] - One of: `'body'`, `'full'`, or `'raw'` — controls the shape of returned data.
+     * @param {string} [opts.responseType='auto'] - Default body parser (see `parseResponse()` and `ResponseParsers.js`).
+     * @param {object|Array} [opts.parsers] - Content-type rules registered on `http.parsers` (`{ 'text/x-foo': 'text' }`).
+     * @param {string} [opts.format='body'] - One of: `'body'`, `'full'`, `'raw'`, or a streaming format
+     *                                        (`'stream'`, `'bytes'`, `'lines'`, `'ndjson'`) — controls the shape of returned data.
      * @param {boolean} [opts.urlencoded=false] - If true, POST bodies will be sent as `application/x-www-form-urlencoded`.
+     * @param {boolean|object} [opts.multipart=false] - If set, POST bodies will be sent as `multipart/form-data` (see `multipart.js`).
+     * @param {string} [opts.queryStyle='comma'] - How arrays / nested objects are written in query strings and urlencoded
+     *                                        bodies: `'comma'`, `'repeat'`, `'brackets'` or `'deepObject'` (see `utils/query.js`).
+     * @param {boolean|number|object} [opts.retry=false] - Retry policy applied to every request (see `utils/retry.js`).
+     * @param {boolean} [opts.throwOnError=false] - If true, non-2xx responses reject with an `HTTPError` (see `errors.js`).
+     * @param {string} [opts.lockBehavior='throw'] - What to do when an `opts.id` is already active (see `lockRequest()`).
+     * @param {number} [opts.maxQueue=Infinity] - With `lockBehavior: 'queue'`, how many calls may wait per id.
+     * @param {number|null} [opts.queueTimeout=null] - With `lockBehavior: 'queue'`, ms a call may wait before rejecting with `TimeoutError`.
+     * @param {boolean} [opts.dedupe=false] - If true, identical concurrent idempotent requests share one fetch (see `_dispatch()`).
+     * @param {boolean|object|ResponseCache} [opts.responseCache=false] - GET/HEAD response cache (see `cache/ResponseCache.js`).
+     *                                        Read by the constructor; the instance is kept on `http.cache`.
+     * @param {boolean|object[]|object|RateLimiter} [opts.rateLimit=false] - Token-bucket rate limits (see `RateLimiter.js`).
+     *                                        Read by the constructor; the instance is kept on `http.rateLimiter`.
+     * @param {boolean|object|CircuitBreaker} [opts.circuitBreaker=false] - Per-host / per-key circuit breaker (see `CircuitBreaker.js`).
+     *                                        Read by the constructor; the instance is kept on `http.circuitBreaker`.
+     * @param {string[]|object|OriginPool} [opts.origins] - Base URLs to fail over between, optionally hedged (see `OriginPool.js`);
+     *                                        the first one is the default base. Read by the constructor; kept on `http.origins`.
+     * @param {AuthProvider|object|function} [opts.auth] - Auth provider or `{ type, ...opts }` (see `auth/index.js`).
+     *                                        Read by the constructor; the provider is kept on `http.auth`.
+     * @param {boolean|object|RequestMetrics} [opts.metrics=false] - Latency / error-rate aggregation over lifecycle events
+     *                                        (see `RequestMetrics.js`). Read by the constructor; kept on `http.metrics`.
+     * @param {function|object} [opts.transport] - `fetch()`-compatible function (or object with `fetch()`) used instead of
+     *                                        the global `fetch()`, e.g. a `MockTransport`. Read by the constructor, see `setTransport()`.
+     * @param {boolean|object|CookieJar} [opts.cookieJar=false] - Cookie jar for runtimes without one (see `CookieJar.js`).
+     *                                        Read by the constructor; the jar is kept on `http.cookieJar`.
+     * @param {boolean|string} [opts.strict=false] - Validate options instead of silently dropping invalid ones:
+     *                                        `true` throws an `OptionError`, `'warn'` logs (see `_checkOptions()`).
+     * @param {boolean|string} [opts.validate] - What to do when a response fails its `schema` (see `_validateResponse()`):
+     *                                        `'throw'` (default, also `true`), `'warn'`, `'annotate'`, or `false` to skip validation.
      *
-     * Also applies entries from `buildDefaultFetchOpts()`:
+     * Also applies entries from `buildDefaultFetchOpts()`, given directly or under `opts.fetchDefaults`
+     * (instance-level fetch defaults, no `FETCH_DEFAULTS` subclass needed):
      * See `FETCH_CONSTANTS` and `FETCH_DEFAULTS` for allowed categories like:
      * - `mode`, `credentials`, `cache`, `redirect`, etc.
      *
@@ -188,21 +659,31 @@ export class HTTP {
 	out.absolute = opts.absolute ?? false;
 	out.timeout = opts.timeout ?? null;
 	out.json = opts.json ?? true;
+	out.responseType = opts.responseType ?? 'auto';
 	out.format = opts.format || 'body';
 	out.urlencoded = opts.urlencoded || false;
+	out.multipart = opts.multipart || false;
+	out.queryStyle = opts.queryStyle || 'comma';
 	out.lockBehavior = opts.lockBehavior || 'throw';
 	out.limit = opts.limit || 1;
 	out.sendOpts = opts.sendOpts || false;
-	const extra = this.buildDefaultFetchOpts(opts);
+	out.retry = opts.retry ?? false;
+	out.throwOnError = opts.throwOnError ?? false;
+	out.dedupe = opts.dedupe ?? false;
+	out.maxQueue = opts.maxQueue ?? Infinity;
+	out.queueTimeout = opts.queueTimeout ?? null;
+	out.strict = opts.strict ?? false;
+	out.validate = opts.validate ?? null;
+	const extra = this.buildDefaultFetchOpts({ ...opts.fetchDefaults, ...opts });
 	return { ...out, ...extra };
     }
 
 
     /**
      * Constructs a filtered and validated set of fetch options.
-     * This pulls from `this.constructor.FETCH_DEFAULTS` and selectively
-     * applies overrides from user-provided `opts`, while validating against
-     * `FETCH_CONSTANTS`.
+     * For every option known to `FETCH_CONSTANTS`, takes the value from `opts` if valid,
+     * else the one from `this.constructor.FETCH_DEFAULTS` if valid; anything else is dropped
+     * (silently, unless `strict` is set, see `_checkOptions()`).
      *
      * {
      *   mode: 'same-origin',   // Valid override
@@ -216,21 +697,35 @@ export class HTTP {
 	const cls = this.constructor;
 	const out = {};
 
-	for (const key in cls.FETCH_DEFAULTS) {
+	for (const key in FETCH_CONSTANTS) {
 	    const allowed = FETCH_CONSTANTS[key];
-	    const value = opts[key];
-	    const defaultValue = cls.FETCH_DEFAULTS[key];
+	    const valid = (value) => value !== undefined && value !== null &&
+		  (allowed.length === 0 || allowed.includes(value));
 
-	    if ((value !== undefined || defaultValue !== undefined) &&
-		allowed &&
-		(allowed.length === 0 || allowed.includes(value))) {
-		out[key] = value ?? defaultValue;
-	    }
+	    if (valid(opts[key]))
+		out[key] = opts[key];
+	    else if (valid(cls.FETCH_DEFAULTS[key]))
+		out[key] = cls.FETCH_DEFAULTS[key];
 	}
 
 	return out;
     }
 
+    /**
+     * In `strict` mode, checks options before they are used (see `validation.js`):
+     * fetch values against `FETCH_CONSTANTS`, m7Fetch's own options (`format`, `lockBehavior`, `timeout`, ...),
+     * and unknown keys. `opts.strict` wins over the instance's.
+     *
+     * @param {object} opts - Options as given by the caller.
+     * @param {string} label - Prefix for messages, e.g. `'HTTP.get'`.
+     * @throws {OptionError} With `strict: true`; `strict: 'warn'` logs instead.
+     */
+    _checkOptions(opts, label) {
+	const strict = opts?.strict ?? this.opts?.strict ?? false;
+	if (!strict) return;
+	validateOptions(opts, { strict, label, responseTypes: this.parsers.names() });
+    }
+
     /**
      * Constructs a base URL string for use in HTTP requests.
      *
@@ -292,8 +787,8 @@ export class HTTP {
      * trailing `?` in the path.
      *
      * @param {string} path - The request path (relative or absolute).
-     * @param {object} [params={}] - Key-value object of query parameters.
-     * @param {object} [opts={}] - Optional overrides (e.g., `{ absolute: true }`).
+     * @param {object} [params={}] - Key-value object of query parameters (arrays / nested objects per `queryStyle`).
+     * @param {object} [opts={}] - Optional overrides (e.g., `{ absolute: true }`, `{ queryStyle: 'brackets' }`).
      * @returns {string} Full URL with query string.
      *
      * Examples:
@@ -306,7 +801,7 @@ export class HTTP {
     
     buildGet(path, params,opts={}) {
 	const url = this.buildPath(path,opts);
-	const query = this.toQueryParams(params);
+	const query = this.toQueryParams(params, opts.queryStyle);
 
 	if (!query) return url;
 
@@ -331,13 +826,19 @@ export class HTTP {
      *
      * @param {string} path - Endpoint path to request. Can be relative or absolute depending on `opts.absolute`.
      * @param {Object} [opts={}] - Optional settings for the request.
-     * @param {Object} [opts.params] - Flat key-value pairs to append as query string (e.g., { q: 'dog' } → ?q=dog).
+     * @param {Object} [opts.params] - Key-value pairs to append as query string (e.g., { q: 'dog' } → ?q=dog).
+     * @param {string} [opts.queryStyle] - Overrides the instance `queryStyle` for `params` (see `toQueryParams()`).
      * @param {Object} [opts.headers] - Additional headers to include with the request.
      * @param {boolean} [opts.json=true] - If true, parses the response as JSON. If false, returns raw response or body.
+     * @param {string|function} [opts.responseType='auto'] - Body parser override, e.g. `'blob'` or `'arrayBuffer'` (see `parseResponse()`).
      * @param {string} [opts.format='body'] - Output format: 'body' (default), 'full' (Response + metadata), or 'raw' (Response only).
      * @param {boolean} [opts.absolute=false] - If true, bypasses base URL and uses `path` exactly as given.
      * @param {number} [opts.timeout] - Optional timeout in milliseconds. Request is aborted if exceeded.
      * @param {function} [opts.handler] - Optional post-processing callback. Receives parsed response; return value becomes final result.
+     * @param {function} [opts.onDownloadProgress] - `({ loaded, total, percent, rate, done }) => void`, called as the response body is read (see `progress.js`).
+     * @param {object|function|ResponseSchema|false} [opts.schema] - Expected response body: a JSON Schema or validator for 2xx responses,
+     *                                          or a `ResponseSchema` keyed by status / media type (see `_validateResponse()`).
+     * @param {boolean|string} [opts.validate] - Overrides the instance `validate` mode for `schema`.
      *
      * @returns {Promise<*>} - Resolves to the parsed (and optionally transformed) response, based on `format`, `json`, and `handler`.
      *
@@ -362,35 +863,23 @@ export class HTTP {
     async _noBodyRequest(method, path, opts = {}) {
 	const {
 	    params,
+	    queryStyle,
 	    headers = {},
 	    ...fetchOpts
 	} = opts;
 	if (!this.constructor.BODYLESS_METHODS.includes(method.toUpperCase() ) )
 	    throw new Error(`Invalid HTTP method "${method}" for _noBodyRequest(). Must be one of: ${this.constructor.BODYLESS_METHODS.join(', ')}`);
+	this._checkOptions(opts, `HTTP.${method.toLowerCase()}`);
 
 	const url = this.buildGet(path, params,opts);
-	const timeoutConfig = this.withTimeout(opts);
-
-	const start = performance.now();
 	const defaultFetchOpts = this.buildDefaultFetchOpts(this.opts);
-	if (!this.lockRequest(opts) )  return null;
-	try {
-	    const sendOpts = {
-		method: method.toUpperCase(),
-		headers: { ...this.headers, ...headers },
-		...defaultFetchOpts,
-		...fetchOpts,
-		...timeoutConfig
-	    };
-	    const res = await fetch(url, sendOpts);
-
-	    const elapsed = performance.now() - start;
-
-	    const data = await this.parseResponse(res, opts,elapsed,sendOpts);
-	    return this.processResponse(data, opts);
-	}finally {
-	    this.unlockRequest(opts);
-	}
+	const sendOpts = {
+	    method: method.toUpperCase(),
+	    headers: { ...this.getHeaders(), ...headers },
+	    ...defaultFetchOpts,
+	    ...fetchOpts
+	};
+	return this._dispatch(url, sendOpts, opts);
     }
 
 
@@ -398,7 +887,7 @@ export class HTTP {
     /**
      * Perform an HTTP request with a request body, supporting automatic encoding (JSON, URL-encoded, or raw), configurable timeouts, and customizable response parsing.
      *
-     * Supports raw, JSON, or URL-encoded payloads. Automatically sets content-type headers when needed.
+     * Supports raw, JSON, URL-encoded or multipart payloads. Automatically sets content-type headers when needed.
      * Can be used with absolute URLs, custom timeouts, and post-processing handlers.
      *
      * @param {string} path - Endpoint path to post to. Can be relative or absolute depending on `opts.absolute`.
@@ -406,11 +895,20 @@ export class HTTP {
      * @param {Object} [opts={}] - Optional configuration for the request.
      * @param {Object} [opts.headers] - Additional headers to include.
      * @param {boolean} [opts.urlencoded=false] - If true, encodes `data` as application/x-www-form-urlencoded.
-     * @param {boolean} [opts.json=true] - If true (default), encodes `data` as JSON. Ignored if `data` is raw or urlencoded.
+     * @param {boolean|object} [opts.multipart=false] - If set, encodes `data` as multipart/form-data (see `multipart.js`);
+     *                                          `{ json: ['field'] }` sends those fields as JSON parts.
+     * @param {string} [opts.queryStyle] - With `urlencoded` / `multipart`, how arrays / nested objects are written (see `toQueryParams()`).
+     * @param {boolean} [opts.json=true] - If true (default), encodes `data` as JSON. Ignored if `data` is raw, urlencoded or multipart.
      * @param {boolean} [opts.absolute=false] - If true, bypasses base URL and uses `path` exactly as provided.
      * @param {number} [opts.timeout] - Optional timeout in milliseconds. Aborts the request if exceeded.
      * @param {string} [opts.format='body'] - Output format: 'body' (default), 'full' (Response + metadata), or 'raw' (Response only).
      * @param {function} [opts.handler] - Optional post-processing callback. Receives parsed response; return value becomes final result.
+     * @param {function} [opts.onUploadProgress] - `({ loaded, total, percent, rate, done }) => void`, called when the request body is sent and
+     *                                          once the response arrives (see `progress.js`).
+     * @param {boolean} [opts.streamUpload=false] - With `onUploadProgress`, stream the body for byte-level progress (sent chunked, no `Content-Length`).
+     * @param {function} [opts.onDownloadProgress] - Same, as the response body is read.
+     * @param {object|function|ResponseSchema|false} [opts.schema] - Expected response body (see `_validateResponse()`).
+     * @param {boolean|string} [opts.validate] - Overrides the instance `validate` mode for `schema`.
      *
      * @returns {Promise<*>} - Resolves to parsed (and optionally transformed) response, depending on `format`, `json`, and `handler`.
      *
@@ -423,6 +921,10 @@ export class HTTP {
      * await http.post('/api/form', { q: 'dogs', limit: 10 }, { urlencoded: true });
      *
      * @example
+     * // File plus metadata as multipart/form-data
+     * await http.post('/api/docs', { file: fileInput.files[0], meta: { title: 'Q3' } }, { multipart: true });
+     *
+     * @example
      * // Raw string or file upload
      * await http.post('/upload', fileBlob);
      *
@@ -432,6 +934,12 @@ export class HTTP {
      *   timeout: 3000,
      *   handler: (res) => res.status === 'ok'
      * });
+     *
+     * @example
+     * // Upload progress
+     * await http.post('/upload', fileBlob, {
+     *   onUploadProgress: ({ percent }) => bar.value = percent
+     * });
      */
 
 
@@ -440,19 +948,20 @@ export class HTTP {
 	const {
 	    headers = {},
 	    urlencoded = this.opts.urlencoded ?? false,
+	    multipart = this.opts.multipart ?? false,
 	    json = this.opts.json ?? true,
+	    queryStyle,
 	    ...fetchOpts
 	} = opts;
 
 	if (!this.constructor.BODY_METHODS.includes(method.toUpperCase() ) )
 	    throw new Error(`Invalid HTTP method "${method}" for _bodyRequest(). Must be one of: ${this.constructor.BODY_METHODS.join(', ')}`);
+	this._checkOptions(opts, `HTTP.${method.toLowerCase()}`);
 
 	const url = this.buildPath(path,opts);
-	const timeoutConfig = this.withTimeout(opts);
-
 
 	let body;
-	const finalHeaders = { ...this.headers, ...headers };
+	const finalHeaders = { ...this.getHeaders(), ...headers };
 
 	// Determine body type
 	const isRaw =
@@ -463,8 +972,16 @@ export class HTTP {
 
 	if (isRaw) {
 	    body = data; // raw body
+	} else if (multipart) {
+	    body = await toFormData(data, {
+		style: queryStyle ?? this.opts.queryStyle,
+		json: multipart.json ?? []
+	    });
+	    // fetch() sets multipart/form-data with its boundary
+	    for (const name of Object.keys(finalHeaders))
+		if (name.toLowerCase() === 'content-type') delete finalHeaders[name];
 	} else if (urlencoded) {
-	    body = this.toQueryParams(data);
+	    body = this.toQueryParams(data, queryStyle);
 	    finalHeaders['Content-Type'] = 'application/x-www-form-urlencoded';
 	} else if (json) {
 	    body = JSON.stringify(data);
@@ -473,32 +990,740 @@ export class HTTP {
 	    body = data;
 	}
 	const defaultFetchOpts = this.buildDefaultFetchOpts(this.opts);
+	const sendOpts = {
+	    method: method.toUpperCase(),
+	    headers: finalHeaders,
+	    body,
+	    ...defaultFetchOpts,
+	    ...fetchOpts
+	};
+	return this._dispatch(url, sendOpts, opts);
+    }
+
+
+    /**
+     * Entry point of the request pipeline for every verb (`_noBodyRequest`, `_bodyRequest`, and `request()`).
+     *
+     * Coalesces concurrent requests before running them (see `_execute()`):
+     * - `lockBehavior: 'share'` → callers with the same `opts.id` get the pending result of the active one.
+     * - `dedupe: true`         → same, keyed on method + URL + headers + body (+ response shape, `throwOnError`,
+     *                            `timeout` and `retry`), for idempotent methods (`GET`, `HEAD`, `OPTIONS`, `PUT`, `DELETE`).
+     *                            Requests with their own `signal` are not deduped: aborting one would abort the others.
+     * Joining callers get the first caller's result (same object, its `format`), then their own `handler` runs on it.
+     * Streaming formats are never deduped, and cannot be shared.
+     *
+     * @param {string} url - Fully resolved request URL.
+     * @param {object} sendOpts - Fetch options (method, headers, body, ...).
+     * @param {object} [opts={}] - The caller's original per-request options.
+     * @returns {Promise<*>} See `_execute()`.
+     */
+    _dispatch(url, sendOpts, opts = {}) {
+	const key = this._shareKey(url, sendOpts, opts);
+	if (!key) return this._execute(url, sendOpts, opts);
+
+	const pending = this.sharedRequests.get(key);
+	if (pending)
+	    return pending.then(data => this.processResponse(data, opts));
+
+	const promise = this._execute(url, sendOpts, opts);
+	this.sharedRequests.set(key, promise);
+	const forget = () => {
+	    if (this.sharedRequests.get(key) === promise) this.sharedRequests.delete(key);
+	};
+	promise.then(forget, forget);
+	return promise;
+    }
+
+    /**
+     * Key under which a request may be shared with concurrent callers, or null if it must run on its own.
+     * @returns {string|null}
+     */
+    _shareKey(url, sendOpts, opts = {}) {
+	const behavior = opts.lockBehavior ?? this.opts.lockBehavior;
+	const streaming = this.streamMode(opts);
+
+	if (opts.id && behavior === 'share') {
+	    if (streaming)
+		throw new Error(`lockBehavior "share" cannot be used with streaming format "${streaming}" (request "${opts.id}").`);
+	    return `id:${opts.id}`;
+	}
+
+	const dedupe = opts.dedupe ?? this.opts.dedupe ?? false;
+	if (!dedupe || streaming || !['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'].includes(sendOpts.method)) return null;
+	if (opts.signal && typeof opts.signal === 'object') return null;
+	if (opts.schema) return null; // schemas (often functions) can't be compared; a joiner would skip its own check
+
+	const body = sendOpts.body;
+	let bodyKey;
+	if (body === undefined || body === null) bodyKey = '';
+	else if (typeof body === 'string') bodyKey = body;
+	else if (body instanceof URLSearchParams) bodyKey = body.toString();
+	else return null; // binary / FormData / stream bodies aren't compared
+
+	const headers = [...new Headers(sendOpts.headers).entries()];
+	const responseType = typeof opts.responseType === 'function' ? null : (opts.responseType ?? this.opts.responseType);
+	if (responseType === null) return null; // custom parser functions aren't compared
+	const shape = [opts.format ?? this.opts.format, opts.json ?? this.opts.json, responseType, opts.sendOpts ?? this.opts.sendOpts];
+	const failure = [opts.throwOnError ?? this.opts.throwOnError, opts.timeout ?? this.opts.timeout, opts.retry ?? this.opts.retry];
+	return 'dedupe:' + JSON.stringify([sendOpts.method, url, headers, bodyKey, shape, failure]);
+    }
+
+    /**
+     * Shared request pipeline behind `_dispatch()`.
+     *
+     * Order of operations:
+     *   lock (may wait, see `_acquireLock`) → `request` interceptors → [response cache, see `_sendCached`] → fetch (retried per `retry` policy, see `_send`)
+     *        → `response` interceptors → [download progress] → [throwOnError check] → parseResponse → [schema check] → processResponse
+     *        → `result` interceptors → unlock
+     *
+     * A `request` interceptor may return a `Response` to skip `fetch()` entirely;
+     * the synthetic response still flows through the remaining stages.
+     *
+     * For streaming formats (see `streamMode()`), the unlock step (lock slot, cancel handle,
+     * timeout timer) is deferred until the returned stream/iterator is drained, errors or is cancelled,
+     * so timeouts and `cancel(id)` keep applying while the body is being read.
+     *
+     * @param {string} url - Fully resolved request URL.
+     * @param {object} sendOpts - Fetch options (method, headers, body, ...), timeout signal not yet applied (it is per attempt).
+     * @param {object} [opts={}] - The caller's original per-request options.
+     * @returns {Promise<*>} Parsed response, shaped by `format`, or `null` if blocked by `lockRequest()`.
+     * @throws {HTTPError} On non-2xx responses when `throwOnError` is enabled (instance or per request).
+     * @throws {TimeoutError|AbortError|NetworkError} When `fetch()` itself fails.
+     */
+    async _execute(url, sendOpts, opts = {}) {
 	const start = performance.now();
-	if (!this.lockRequest(opts) )  return null;
+	const slot = await this._acquireLock(opts, { url, method: sendOpts.method });
+	if (!slot) return null;
+	const canceler = slot.canceler;
+	const ctx = {
+	    method: sendOpts.method,
+	    url,
+	    sendOpts,
+	    opts,
+	    meta: {},
+	    start,
+	    cancelSignal: canceler?.signal ?? null,
+	    signalHandle: null,
+	    requestId: ++this.requestSeq,
+	    lock: {
+		id: opts.id ?? null,
+		behavior: opts.lockBehavior ?? this.opts.lockBehavior,
+		active: opts.id ? (this.activeRequests[opts.id] || 0) : null,
+		queued: opts.id ? (this.lockQueues[opts.id]?.length ?? 0) : null,
+		waitedMs: performance.now() - start
+	    },
+	    bytes: { sent: sendOpts.body == null ? 0 : bodyLength(sendOpts.body), received: null },
+	    http: this
+	};
+	const release = () => {
+	    ctx.signalHandle?.clear();
+	    this._releaseCancel(opts.id, canceler);
+	    this.unlockRequest(opts);
+	};
+	// lifecycle events (see on()); `finish` emits the closing one, once
+	const observed = this._hasListeners();
+	let settled = !observed, status = null, streamError = null;
+	const finish = (err = null) => {
+	    if (settled) return;
+	    settled = true;
+	    if (!err) this._emit('request:end', ctx, { status });
+	    else this._emit(err instanceof AbortError ? 'request:abort' : 'request:error', ctx, { status: err.status ?? status, error: err });
+	};
+	if (observed) this._emit('request:start', ctx);
+
+	let stream = null;
 	try {
-	    const sendOpts = {
-		method: method.toUpperCase(),
-		headers: finalHeaders,
-		body,
-		...defaultFetchOpts,
-		...fetchOpts,
-		...timeoutConfig
-	    };
-	    const res = await fetch(url, sendOpts);
+	    let res = await this.interceptors.runRequest(ctx);
+	    if (!res)
+		res = await this._sendCached(ctx);
+	    res = await this.interceptors.runResponse(res, ctx);
+	    status = res.status;
+	    if (observed)
+		res = trackDownload(res, (p) => { ctx.bytes.received = p.loaded; });
+	    if (typeof opts.onDownloadProgress === 'function')
+		res = trackDownload(res, opts.onDownloadProgress);
+
 	    const elapsed = performance.now() - start;
 
-	    //ignore until I decide waht to do with this.
-	    //if (!res.ok)
-	    //	    throw new Error(`POST ${path} failed: ${res.status} ${res.statusText}`);
+	    const throwOnError = opts.throwOnError ?? this.opts.throwOnError ?? false;
+	    if (throwOnError && !res.ok && res.type !== 'opaque') {
+		const full = await this.parseResponse(res, { ...opts, format: 'full' }, elapsed, ctx.sendOpts, ctx.meta);
+		throw HTTPError.fromResponse(full, { method: ctx.method, url: ctx.url, sendOpts: ctx.sendOpts });
+	    }
+
+	    if (this.streamMode(opts) && res.body) {
+		stream = trackStream(res.body, {
+		    onDone: () => {
+			release();
+			finish(streamError);
+		    },
+		    mapError: (err) => streamError = classifyFetchError(err, {
+			url: ctx.url,
+			method: ctx.method,
+			elapsedMs: performance.now() - start,
+			sendOpts: ctx.sendOpts,
+			timedOut: !!ctx.signalHandle?.timedOut,
+			aborted: !ctx.signalHandle?.timedOut && !!ctx.signalHandle?.signal?.aborted
+		    })
+		});
+	    }
 
-	    const parsed = await this.parseResponse(res, opts, elapsed,sendOpts);
-	    return this.processResponse(parsed, opts);
+	    const parsed = await this.parseResponse(res, opts, elapsed, ctx.sendOpts, ctx.meta, stream);
+	    await this._validateResponse(parsed, res, ctx);
+	    const data = this.processResponse(parsed, opts);
+	    const result = await this.interceptors.runResult(data, ctx);
+	    if (!stream) finish();
+	    return result;
+	} catch (err) {
+	    finish(err);
+	    stream?.cancel(err).catch(() => {}); // releases via onDone
+	    throw err;
 	}finally{
-	    this.unlockRequest(opts);
+	    if (!stream) release();
 	}
     }
 
 
+    /**
+     * Consults `http.cache` before `_send()`, when a response cache is configured.
+     *
+     * - fresh entry → served without a request (`cache: 'hit'`)
+     * - stale entry within `stale-while-revalidate` → served, and revalidated in the background (`'stale'`)
+     * - stale entry with a validator → conditional request; a 304 serves the cached body (`'revalidated'`)
+     * - otherwise → network response, stored if cacheable (`'miss'`)
+     *
+     * The outcome is recorded in `ctx.meta.cache` (reported by `format: 'full'`).
+     * Per request, `responseCache: false` or fetch `cache: 'no-store'` bypasses the cache,
+     * `cache: 'reload'` skips the lookup but stores the result, `cache: 'no-cache'` always revalidates
+     * and `cache: 'force-cache'` serves any stored entry, however old. Streaming formats bypass the cache.
+     *
+     * Entries are partitioned by the credentials the request is sent with (see `_cacheIdentity()`);
+     * requests whose auth provider has no stable identity bypass the cache.
+     *
+     * @param {object} ctx - Dispatch context built by `_execute()`.
+     * @returns {Promise<Response>}
+     */
+    async _sendCached(ctx) {
+	const cache = this.cache;
+	const mode = ctx.sendOpts.cache;
+	if (!cache || ctx.opts.responseCache === false || mode === 'no-store' || this.streamMode(ctx.opts))
+	    return this._send(ctx);
+
+	if (!cache.handles(ctx.method)) {
+	    const res = await this._send(ctx);
+	    if (res.ok) await cache.invalidate(ctx.url);
+	    return res;
+	}
+
+	const identity = await this._cacheIdentity(ctx);
+	if (!identity) return this._send(ctx);
+	const { headers: reqHeaders, partition } = identity;
+	const entry = mode === 'reload' ? null : await cache.lookup(ctx.method, ctx.url, reqHeaders, partition);
+	if (entry) {
+	    const state = mode === 'force-cache' ? 'fresh'
+		  : mode === 'no-cache' ? 'stale'
+		  : cache.state(entry);
+
+	    if (state === 'fresh') {
+		ctx.meta.cache = 'hit';
+		return cache.toResponse(entry);
+	    }
+	    if (state === 'stale-while-revalidate') {
+		ctx.meta.cache = 'stale';
+		this._revalidateInBackground(ctx, entry, reqHeaders, partition);
+		return cache.toResponse(entry);
+	    }
+	    if (cache.canRevalidate(entry)) {
+		ctx.sendOpts = { ...ctx.sendOpts, headers: cache.conditionalHeaders(ctx.sendOpts.headers, entry) };
+		const res = await this._send(ctx);
+		if (res.status === 304) {
+		    ctx.meta.cache = 'revalidated';
+		    return cache.revalidated(ctx.method, ctx.url, reqHeaders, entry, res, partition);
+		}
+		ctx.meta.cache = 'miss';
+		return cache.save(ctx.method, ctx.url, reqHeaders, res, partition);
+	    }
+	}
+
+	ctx.meta.cache = 'miss';
+	const res = await this._send(ctx);
+	return cache.save(ctx.method, ctx.url, reqHeaders, res, partition);
+    }
+
+    /**
+     * Who a request is made as, for the response cache: its headers (with the cookie jar's cookies for its URL)
+     * and a `partition` the cache keeps entries apart by (`''` without credentials). The partition lists the
+     * `Authorization`, `Proxy-Authorization` and `Cookie` headers, wherever they come from, and the auth
+     * provider's `cacheKey()` — a stable identity such as the current token, never a per-request signature,
+     * and obtained without running `authorize()`.
+     *
+     * @param {object} ctx - Dispatch context built by `_execute()`.
+     * @returns {Promise<{ headers: Headers, partition: string }|null>} Null when the auth provider has no
+     *   stable identity (e.g. a `SignerAuth` without `cacheKey`): the request must bypass the cache.
+     */
+    async _cacheIdentity(ctx) {
+	const headers = new Headers(ctx.sendOpts.headers);
+	const credentials = [];
+
+	const auth = ctx.opts.auth === false ? null : (createAuth(ctx.opts.auth) ?? this.auth);
+	if (auth) {
+	    const identity = typeof auth.cacheKey === 'function'
+		  ? await auth.cacheKey({ url: ctx.url, method: ctx.method, headers: new Headers(headers), ctx })
+		  : null;
+	    if (identity === null || identity === undefined) return null;
+	    if (identity !== '') credentials.push(`auth: ${identity}`);
+	}
+	const jar = ctx.opts.cookieJar === false ? null : this.cookieJar;
+	const cookies = jar?.cookieHeader(ctx.url);
+	if (cookies) {
+	    const mine = headers.get('cookie');
+	    headers.set('cookie', mine ? `${mine}; ${cookies}` : cookies);
+	}
+
+	for (const name of ['authorization', 'proxy-authorization', 'cookie']) {
+	    const value = headers.get(name);
+	    if (value !== null) credentials.push(`${name}: ${value}`);
+	}
+	return { headers, partition: credentials.join('\n') };
+    }
+
+    // stale-while-revalidate: refresh an entry without holding up (or being cancelled with) the caller
+    _revalidateInBackground(ctx, entry, reqHeaders, partition) {
+	const cache = this.cache;
+	const key = `${ctx.method} ${ctx.url}`;
+	if (cache.refreshing.has(key)) return;
+	cache.refreshing.add(key);
+
+	const bg = {
+	    ...ctx,
+	    opts: { ...ctx.opts, id: undefined, signal: undefined },
+	    sendOpts: cache.canRevalidate(entry)
+		? { ...ctx.sendOpts, headers: cache.conditionalHeaders(ctx.sendOpts.headers, entry) }
+		: ctx.sendOpts,
+	    meta: {},
+	    cancelSignal: null,
+	    signalHandle: null
+	};
+	this._send(bg)
+	    .then(res => res.status === 304
+		  ? cache.revalidated(ctx.method, ctx.url, reqHeaders, entry, res, partition)
+		  : cache.save(ctx.method, ctx.url, reqHeaders, res, partition).then(saved => saved.body?.cancel()))
+	    .catch(() => {}) // the stale copy was already served
+	    .finally(() => {
+		bg.signalHandle?.clear();
+		cache.refreshing.delete(key);
+	    });
+    }
+
+    /**
+     * Performs the actual `fetch()` for a dispatched request, re-attempting it according
+     * to the effective `retry` policy (instance `opts.retry`, overridden by the per-request one).
+     *
+     * Each attempt gets its own signal (timeout + caller `signal` + `cancel(id)`, see `buildSignal()`);
+     * the last one stays in `ctx.signalHandle` until `_execute()` settles. Retryable outcomes are the policy's `statuses`,
+     * network failures (`networkErrors`) and elapsed timeouts (`timeouts`), and only for
+     * methods listed in `policy.methods` (POST and PATCH must be opted in).
+     * The number of attempts made is recorded in `ctx.meta.attempts` (reported by `format: 'full'`).
+     * With `onUploadProgress` and `streamUpload`, every attempt sends a fresh counting body (see `progress.js`).
+     * With a `rateLimiter`, every attempt first waits for a token, and each response's rate-limit
+     * headers are reported back to it (skipped with `opts.rateLimit === false`).
+     * With an auth provider (`opts.auth`, else `http.auth`; `opts.auth === false` skips it), every attempt is
+     * authorized just before `fetch()`; a `401` the provider can recover from (e.g. token refresh) is replayed once,
+     * outside the retry budget.
+     * With a `cookieJar` (skipped with `opts.cookieJar === false`), the fetch goes through `_fetchWithCookies()`.
+     * With a `circuitBreaker` (skipped with `opts.circuitBreaker === false`), every attempt takes a slot on its circuit
+     * and reports its outcome; an open circuit rejects with `CircuitOpenError` before anything is sent.
+     * With `origins` (`opts.origins`, else `http.origins`; `opts.origins === false` skips them), an attempt on a URL
+     * under one of the origins goes through `_sendAcross()`: failover to the next origin, and hedging.
+     *
+     * @param {object} ctx - Dispatch context built by `_execute()`.
+     * @returns {Promise<Response>} The last response received.
+     * @throws {TimeoutError|AbortError|NetworkError} The last fetch error, classified, if no attempt produced a response.
+     * @throws {CircuitOpenError} If the circuit of `ctx.url` is open.
+     */
+    async _send(ctx) {
+	const policy = resolveRetryPolicy(this.opts.retry, ctx.opts.retry);
+	const maxAttempts = policy && policy.methods.includes(ctx.method) ? policy.attempts : 1;
+
+	const cancelSignals = ctx.cancelSignal ? [ctx.cancelSignal] : [];
+	const fail = (error, { timedOut = false, aborted = false, url = ctx.url } = {}) => classifyFetchError(error, {
+	    url,
+	    method: ctx.method,
+	    elapsedMs: performance.now() - ctx.start,
+	    sendOpts: ctx.sendOpts,
+	    timedOut,
+	    aborted
+	});
+	// waits between attempts stay responsive to the caller's signal and cancel(id), but not to `timeout`
+	const waitUnlessAborted = async (wait) => {
+	    const handle = this.buildSignal({ signal: ctx.opts.signal, timeout: 0 }, cancelSignals);
+	    await wait(handle.signal);
+	    handle.clear();
+	    if (handle.signal?.aborted)
+		throw fail(handle.signal.reason ?? new Error('aborted'), { aborted: true });
+	};
+	const limiter = ctx.opts.rateLimit === false ? null : this.rateLimiter;
+	const auth = ctx.opts.auth === false ? null : (createAuth(ctx.opts.auth) ?? this.auth);
+	const jar = ctx.opts.cookieJar === false ? null : this.cookieJar;
+	const breaker = ctx.opts.circuitBreaker === false ? null : this.circuitBreaker;
+	const pool = ctx.opts.origins === undefined ? this.origins : this._originPoolFor(ctx.opts.origins);
+	let replayed = false;
+
+	// one fetch of `target`; `extra` signals abort it too (see _sendAcross())
+	const sendTo = async (target, extra = []) => {
+	    if (limiter)
+		await waitUnlessAborted(signal => limiter.acquire(target, signal));
+	    const handle = this.buildSignal(ctx.opts, [...cancelSignals, ...extra]);
+
+	    let init = { ...ctx.sendOpts, signal: handle.signal };
+	    let url = target;
+	    let authState, upload = null, reportOutcome;
+	    try {
+		if (auth) {
+		    const req = { url, method: ctx.method, headers: new Headers(init.headers), body: init.body, ctx };
+		    authState = await auth.authorize(req);
+		    url = req.url;
+		    init.headers = req.headers;
+		}
+
+		if (typeof ctx.opts.onUploadProgress === 'function' && init.body != null) {
+		    upload = trackUpload(init, ctx.opts.onUploadProgress, { stream: !!ctx.opts.streamUpload });
+		    init = upload.init;
+		}
+
+		reportOutcome = breaker?.acquire(breaker.keyFor(target, ctx), { url: target, method: ctx.method });
+	    } catch (err) {
+		handle.clear();
+		throw err;
+	    }
+
+	    let res = null, error = null;
+	    try {
+		res = jar ? await this._fetchWithCookies(jar, url, init) : await this._fetch(url, init);
+		upload?.finish();
+		limiter?.observe(target, res);
+	    } catch (err) {
+		error = err;
+	    }
+	    const timedOut = handle.timedOut;
+	    const aborted = !timedOut && !!handle.signal?.aborted;
+	    reportOutcome?.(res, error && fail(error, { timedOut, aborted, url: target }));
+	    return { url: target, res, error, timedOut, aborted, authState, handle };
+	};
+
+	for (let attempt = 1; ; attempt++) {
+	    ctx.meta.attempts = attempt;
+	    ctx.signalHandle?.clear();
+	    ctx.signalHandle = null;
+	    const route = pool?.route(ctx.url, ctx.method, { hedge: ctx.opts.hedge }) ?? null;
+	    const outcome = route ? await this._sendAcross(ctx, pool, route, sendTo) : await sendTo(ctx.url);
+	    const { res, error, timedOut, aborted } = outcome;
+	    ctx.signalHandle = outcome.handle;
+
+	    if (res?.status === 401 && auth && !replayed && await auth.onUnauthorized(res, outcome.authState)) {
+		replayed = true;
+		try { await res.body?.cancel(); } catch (e) { /* already consumed */ }
+		continue;
+	    }
+
+	    if (attempt >= maxAttempts || !shouldRetry(policy, { res, error, timedOut, aborted })) {
+		if (error) throw fail(error, { timedOut, aborted, url: outcome.url });
+		return res;
+	    }
+
+	    const delay = computeRetryDelay(policy, attempt, res);
+	    this._emit('request:retry', ctx, { attempt, delay, status: res?.status ?? null, error });
+	    if (typeof policy.onRetry === 'function') {
+		policy.onRetry({
+		    attempt,
+		    delay,
+		    status: res?.status ?? null,
+		    error,
+		    url: ctx.url,
+		    method: ctx.method
+		});
+	    }
+	    // release the connection held by the discarded response
+	    try { await res?.body?.cancel?.(); } catch (e) { /* already consumed */ }
+
+	    await waitUnlessAborted(signal => sleep(delay, signal));
+	}
+    }
+
+    /**
+     * The pool for a per-request `origins` option. Lists (and option objects) get one pool per distinct value,
+     * kept on the instance (and shared with children), so origin health carries over from one request to the next.
+     * The oldest pool is dropped beyond 50 distinct values.
+     *
+     * @param {string[]|object|OriginPool|false} opt
+     * @returns {OriginPool|null}
+     */
+    _originPoolFor(opt) {
+	if (!opt || opt instanceof OriginPool) return OriginPool.from(opt);
+	const key = JSON.stringify(opt);
+	let pool = this.originPools.get(key);
+	if (!pool) {
+	    pool = OriginPool.from(opt);
+	    if (this.originPools.size >= 50) this.originPools.delete(this.originPools.keys().next().value);
+	    this.originPools.set(key, pool);
+	}
+	return pool;
+    }
+
+    /**
+     * Runs one attempt of `_send()` across the origins of an `OriginPool` (see `OriginPool.js`).
+     *
+     * Tries `route.targets` in order, moving on at once when an origin fails (network error, timeout,
+     * failover status, open circuit; the origin is marked down). With `route.hedge`, the next origin is
+     * also sent the request once the current one has been silent for that many ms (once per attempt).
+     * The first usable outcome wins and requests still in flight are aborted; when every origin failed,
+     * the last failure is returned. Emits `request:failover` and `request:hedge`, and records the
+     * origin that answered in `ctx.meta.origin` (reported by `format: 'full'`).
+     *
+     * @param {object} ctx - Dispatch context built by `_execute()`.
+     * @param {OriginPool} pool
+     * @param {object} route - `{ targets, failover, hedge }`, see `OriginPool.route()`.
+     * @param {function} sendTo - `(url, signals) => Promise<outcome>`: one fetch, see `_send()`.
+     * @returns {Promise<object>} The outcome to use: `{ url, res, error, timedOut, aborted, authState, handle }`.
+     * @throws {Error} What a fetch could not turn into an outcome (e.g. an aborted rate-limit wait);
+     *   `CircuitOpenError` only once no origin is left.
+     */
+    _sendAcross(ctx, pool, route, sendTo) {
+	const queue = [...route.targets];
+	const legs = new Set(); // requests in flight
+	let hedged = false, hedgeTimer = null, done = false, last = null;
+
+	// drops an outcome nobody will use
+	const discard = (outcome) => {
+	    if (!outcome) return;
+	    outcome.handle.clear();
+	    outcome.res?.body?.cancel().catch(() => {});
+	};
+
+	return new Promise((resolve, reject) => {
+	    const finish = (outcome, error = null) => {
+		done = true;
+		clearTimeout(hedgeTimer);
+		for (const leg of legs) leg.controller.abort();
+		if (last?.outcome !== outcome) discard(last?.outcome);
+		if (error) return reject(error);
+		ctx.meta.origin = outcome.origin;
+		resolve(outcome);
+	    };
+
+	    const settle = (leg, outcome, error) => {
+		legs.delete(leg);
+		if (done) return discard(outcome);
+		if (!legs.size) clearTimeout(hedgeTimer);
+		const origin = leg.target.origin;
+
+		if (error && !(error instanceof CircuitOpenError)) return finish(null, error);
+		if (outcome && (outcome.aborted || !(outcome.timedOut || pool.isFailure(outcome.res, outcome.error)))) {
+		    if (!outcome.aborted) pool.markUp(origin);
+		    return finish(outcome);
+		}
+
+		if (outcome) pool.markDown(origin, outcome.error ?? outcome.res?.status ?? null);
+		discard(last?.outcome);
+		last = { outcome, error };
+		if (legs.size) return; // the other request may still answer
+
+		if (route.failover && queue.length) {
+		    this._emit('request:failover', ctx, {
+			from: origin,
+			to: queue[0].origin,
+			status: outcome?.res?.status ?? null,
+			error: error ?? outcome?.error ?? null
+		    });
+		    return launch();
+		}
+		return error ? finish(null, error) : finish(outcome);
+	    };
+
+	    const launch = () => {
+		const target = queue.shift();
+		const leg = { target, controller: new AbortController() };
+		legs.add(leg);
+		sendTo(target.url, [leg.controller.signal]).then(
+		    outcome => settle(leg, { ...outcome, origin: target.origin }, null),
+		    error => settle(leg, null, error)
+		);
+
+		if (route.hedge !== null && !hedged && queue.length && legs.size === 1) {
+		    hedgeTimer = setTimeout(() => {
+			if (done || !queue.length) return;
+			hedged = true;
+			this._emit('request:hedge', ctx, { from: target.origin, to: queue[0].origin });
+			launch();
+		    }, route.hedge);
+		}
+	    };
+
+	    launch();
+	});
+    }
+
+    /**
+     * `fetch()` through a cookie jar: sends the cookies matching each URL and stores every `Set-Cookie` received.
+     *
+     * Unless `redirect` is `'manual'` or `'error'`, redirects are followed here, hop by hop, so cookies set
+     * by intermediate responses (e.g. a login `302`) are kept and sent on to the next URL.
+     * Follows fetch's rules: `303` (and `301`/`302` after a POST) continue as a bodiless GET,
+     * and `Authorization`, `Cookie` (the caller's own; the jar picks cookies per hop) and `Proxy-Authorization`
+     * are dropped when the redirect leaves the origin.
+     *
+     * @param {CookieJar} jar
+     * @param {string} url
+     * @param {object} init - `fetch()` options.
+     * @returns {Promise<Response>} The final response.
+     * @throws {TypeError} After 20 redirects, like `fetch()`.
+     */
+    async _fetchWithCookies(jar, url, init) {
+	const follow = !init.redirect || init.redirect === 'follow';
+
+	for (let hops = 0; ; hops++) {
+	    const headers = new Headers(init.headers);
+	    const cookies = jar.cookieHeader(url);
+	    if (cookies) {
+		const own = headers.get('cookie');
+		headers.set('cookie', own ? `${own}; ${cookies}` : cookies);
+	    }
+
+	    const res = await this._fetch(url, { ...init, headers, redirect: follow ? 'manual' : init.redirect });
+	    jar.store(url, res);
+
+	    const location = res.headers.get('location');
+	    if (!follow || ![301, 302, 303, 307, 308].includes(res.status) || !location)
+		return res;
+	    if (hops >= 20)
+		throw new TypeError(`HTTP: too many redirects (last: ${url})`);
+	    try { await res.body?.cancel(); } catch (e) { /* already consumed */ }
+
+	    const next = new URL(location, url);
+	    const method = (init.method || 'GET').toUpperCase();
+	    const nextHeaders = new Headers(init.headers);
+	    init = { ...init, headers: nextHeaders };
+	    if (res.status === 303 ? method !== 'HEAD' : ([301, 302].includes(res.status) && method === 'POST')) {
+		init.method = 'GET';
+		delete init.body;
+		delete init.duplex;
+		for (const name of ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location'])
+		    nextHeaders.delete(name);
+	    }
+	    if (next.origin !== new URL(url).origin) {
+		for (const name of ['authorization', 'cookie', 'proxy-authorization'])
+		    nextHeaders.delete(name);
+	    }
+	    url = next.href;
+	}
+    }
+
+
+    /**
+     * Takes a lock slot for `opts.id`, waiting for one with `lockBehavior: 'queue'` or `'latest'`.
+     * Other behaviors defer to `lockRequest()`.
+     *
+     * - `'queue'`  → when `limit` calls are active, park this one; parked calls run FIFO as slots free up.
+     *               Beyond `maxQueue` waiting calls, throws. After `queueTimeout` ms waiting, rejects with `TimeoutError`.
+     * - `'latest'` → abort every older call under this id (in flight or parked, they reject with `AbortError`),
+     *               then run this one.
+     *
+     * Parked calls reject with `AbortError` if their `signal` aborts or `cancel(id)` is called.
+     * The request's own `timeout` starts once it leaves the queue.
+     *
+     * The call's `cancel(id)` controller is registered as soon as it gets its slot, in the same tick,
+     * so a `'latest'` call made right after (before this one resumes) still aborts it.
+     *
+     * @param {object} [opts={}] - Per-request options.
+     * @param {object} [info={}] - `{ url, method }`, for error messages.
+     * @returns {Promise<object|null>} `{ canceler }` (an `AbortController`, null without an id) once the call
+     *   holds its slot, or null if the request must be skipped (see `lockRequest()`).
+     */
+    async _acquireLock(opts = {}, info = {}) {
+	const id = opts.id;
+	const behavior = opts.lockBehavior ?? this.opts.lockBehavior;
+	const granted = () => ({ canceler: this._registerCancel(id) });
+	if (!id || !['queue', 'latest'].includes(behavior))
+	    return this.lockRequest(opts) ? granted() : null;
+
+	if (behavior === 'latest')
+	    this.cancel(id, new Error(`Superseded by a newer "${id}" request.`));
+
+	const waiting = this.lockQueues[id]?.length ?? 0;
+	if (!waiting && this._freeSlots(id, opts) > 0) {
+	    this.activeRequests[id] = (this.activeRequests[id] || 0) + 1;
+	    return granted();
+	}
+
+	const maxQueue = opts.maxQueue ?? this.opts.maxQueue ?? Infinity;
+	if (waiting >= maxQueue)
+	    throw new Error(`Request "${id}" queue is full (${waiting} waiting, maxQueue=${maxQueue}).`);
+
+	const label = [info.method, info.url].filter(Boolean).join(' ');
+	const queueTimeout = opts.queueTimeout ?? this.opts.queueTimeout;
+	const signal = isAbortSignal(opts.signal) ? opts.signal : null;
+	const queue = this.lockQueues[id] ??= [];
+
+	return new Promise((resolve, reject) => {
+	    let timer = null;
+	    const onAbort = () => waiter.fail(new AbortError(`Request aborted while queued: ${label}`, { ...info, cause: signal.reason }));
+	    const cleanup = () => {
+		clearTimeout(timer);
+		signal?.removeEventListener('abort', onAbort);
+		const idx = queue.indexOf(waiter);
+		if (idx !== -1) queue.splice(idx, 1);
+		if (!queue.length && this.lockQueues[id] === queue) delete this.lockQueues[id];
+	    };
+	    const waiter = {
+		opts,
+		label,
+		grant: () => {
+		    cleanup();
+		    resolve(granted());
+		},
+		fail: (err) => {
+		    cleanup();
+		    reject(err);
+		}
+	    };
+
+	    if (signal?.aborted) return onAbort();
+	    signal?.addEventListener('abort', onAbort, { once: true });
+	    if (queueTimeout)
+		timer = setTimeout(() => waiter.fail(new TimeoutError(`Request waited more than ${queueTimeout}ms in the "${id}" queue: ${label}`, info)), queueTimeout);
+	    queue.push(waiter);
+	});
+    }
+
+    // lock slots still available under `id` (cancel()ed requests don't count)
+    _freeSlots(id, opts = {}) {
+	const limit = parseInt(opts.limit ?? this.opts?.limit, 10) || 1;
+	const active = (this.activeRequests[id] || 0) - this._cancelledCount(id);
+	return limit - active;
+    }
+
+    // hands freed slots to parked callers, oldest first
+    _drainQueue(id) {
+	const queue = this.lockQueues[id];
+	while (queue?.length && this._freeSlots(id, queue[0].opts) > 0) {
+	    this.activeRequests[id] = (this.activeRequests[id] || 0) + 1;
+	    queue[0].grant();
+	}
+    }
+
+    /**
+     * Enforces the per-id concurrency limit (`opts.id`, `opts.limit`, default 1).
+     *
+     * When the limit is reached, `lockBehavior` decides:
+     * - `'throw'` (default) → throw an `Error`
+     * - `'warn'`            → log and skip the request (the call resolves to `null`)
+     * - `'notify'`          → log and send it anyway
+     * - `'share'`           → handled earlier by `_dispatch()`: the caller joins the active request
+     * - `'queue'` / `'latest'` → handled by `_acquireLock()`: the caller waits for a slot
+     *
+     * @param {object} [opts={}] - Per-request options.
+     * @returns {boolean} False if the request must be skipped.
+     */
     lockRequest(opts = {}) {
 	const id = opts.id;
 	if (!id) return true; // no locking if no id provided
@@ -506,7 +1731,8 @@ export class HTTP {
 	const behavior  = opts.lockBehavior ?? this.opts?.lockBehavior ?? "throw";
 	const rateLimit = parseInt(opts.limit ?? this.opts?.limit, 10) || 1;
 
-	const count = this.activeRequests[id] || 0;
+	const active = this.activeRequests[id] || 0;
+	const count = active - this._cancelledCount(id); // cancel()ed requests no longer hold a slot
 
 	if (count >= rateLimit) {
             const msg = `Request "${id}" is currently active ${count} times (limit=${rateLimit}) (${behavior}).`;
@@ -516,7 +1742,7 @@ export class HTTP {
 		return false; // blocked
             } else if (behavior === "notify") {
 		console.warn(msg + " Allowing request anyway.");
-		this.activeRequests[id] = count + 1; // still increment
+		this.activeRequests[id] = active + 1; // still increment
 		return true; // allowed but noisy
             } else {
 		throw new Error(msg); // default: throw
@@ -524,7 +1750,7 @@ export class HTTP {
 	}
 
 	// increment counter
-	this.activeRequests[id] = count + 1;
+	this.activeRequests[id] = active + 1;
 	return true;
     }
 
@@ -538,15 +1764,145 @@ export class HTTP {
 		delete this.activeRequests[id];
             }
 	}
+	this._drainQueue(id);
     }
 
     
+    /**
+     * Aborts every in-flight request registered under `opts.id`, and every call parked in its queue.
+     *
+     * Aborted requests reject with an `AbortError` (see `errors.js`), including those
+     * currently waiting out a retry backoff or queued by `lockBehavior: 'queue'`. They stop counting toward the `lockRequest()`
+     * limit immediately, so a replacement request with the same id can be sent right away.
+     *
+     * @param {string} id - The `opts.id` the requests were sent with.
+     * @param {*} [reason] - Optional abort reason, forwarded to `AbortController.abort()`.
+     * @returns {number} Number of requests aborted.
+     *
+     * @example
+     * input.addEventListener('input', () => {
+     *     http.cancel('search');
+     *     http.get('/search', { id: 'search', params: { q: input.value } });
+     * });
+     */
+    cancel(id, reason = undefined) {
+	let count = 0;
+	for (const waiter of [...(this.lockQueues[id] ?? [])]) {
+	    waiter.fail(new AbortError(`Request aborted while queued: ${waiter.label}`, { cause: reason }));
+	    count++;
+	}
+
+	const controllers = this.activeControllers[id];
+	if (!controllers) return count;
+	for (const controller of controllers)
+	    controller.abort(reason);
+	return count + controllers.size;
+    }
+
+    /**
+     * Aborts every in-flight request that was sent with an `opts.id`.
+     * @param {*} [reason]
+     * @returns {number} Number of requests aborted.
+     */
+    cancelAll(reason = undefined) {
+	let count = 0;
+	const ids = new Set([...Object.keys(this.activeControllers), ...Object.keys(this.lockQueues)]);
+	for (const id of ids)
+	    count += this.cancel(id, reason);
+	return count;
+    }
+
+    // cancel() bookkeeping, paired with lockRequest / unlockRequest
+    _registerCancel(id) {
+	if (!id) return null;
+	const controller = new AbortController();
+	(this.activeControllers[id] ??= new Set()).add(controller);
+	return controller;
+    }
+
+    _cancelledCount(id) {
+	let count = 0;
+	for (const controller of this.activeControllers[id] ?? [])
+	    if (controller.signal.aborted) count++;
+	return count;
+    }
+
+    _releaseCancel(id, controller) {
+	const controllers = this.activeControllers[id];
+	if (!controllers || !controller) return;
+	controllers.delete(controller);
+	if (controllers.size === 0)
+	    delete this.activeControllers[id];
+    }
+
+    /**
+     * Builds the abort signal for one fetch attempt.
+     *
+     * Combines, into a single `AbortSignal`:
+     * - the timeout (`opts.timeout`, falling back to the instance `timeout`),
+     * - the caller's `opts.signal`, if it is an `AbortSignal`,
+     * - any `extra` signals (e.g. the `cancel(id)` handle).
+     * Whichever fires first aborts the request. `opts.signal === false` disables the timeout.
+     *
+     * The returned handle must be cleared once the request settles, so the timer and
+     * listeners on the caller's signal don't outlive it.
+     *
+     * @param {Object} [opts={}] - Request-specific overrides (`timeout`, `signal`).
+     * @param {AbortSignal[]} [extra=[]] - Additional signals to follow.
+     * @returns {{ signal: AbortSignal|undefined, timedOut: boolean, clear: function }}
+     *   `signal` is undefined when there is nothing to abort on; `timedOut` flips to true if the timeout fired.
+     *
+     * @example
+     * const handle = http.buildSignal({ timeout: 3000, signal: userController.signal });
+     * try { await fetch(url, { signal: handle.signal }); } finally { handle.clear(); }
+     */
+    buildSignal(opts = {}, extra = []) {
+	const timeoutDisabled = opts.signal === false || this.opts.signal === false;
+	const timeout = timeoutDisabled ? null : (opts.timeout ?? this.opts.timeout);
+	const sources = [isAbortSignal(opts.signal) ? opts.signal : null, ...extra].filter(Boolean);
+
+	const handle = { signal: undefined, timedOut: false, clear: () => {} };
+	if (!timeout && sources.length === 0) return handle;
+
+	const controller = new AbortController();
+	const followed = [];
+	const onAbort = (e) => controller.abort(e?.target?.reason);
+
+	for (const source of sources) {
+	    if (source.aborted) {
+		controller.abort(source.reason);
+		break;
+	    }
+	    source.addEventListener('abort', onAbort, { once: true });
+	    followed.push(source);
+	}
+
+	let timer = null;
+	if (timeout && !controller.signal.aborted) {
+	    timer = setTimeout(() => {
+		handle.timedOut = true;
+		controller.abort();
+	    }, timeout);
+	}
+
+	handle.signal = controller.signal;
+	handle.clear = () => {
+	    clearTimeout(timer);
+	    for (const source of followed)
+		source.removeEventListener('abort', onAbort);
+	};
+	return handle;
+    }
+
     /**
      * Constructs a fetch-compatible timeout configuration using `AbortController`.
      *
      * If a `timeout` value is provided (in milliseconds), returns a `{ signal }` object
      * that can be passed directly to `fetch()` to enable automatic request abortion.
      * If `timeout` is missing or explicitly disabled via `opts.signal === false`, returns an empty object.
+     * A caller-supplied `opts.signal` is composed with the timeout (see `buildSignal()`).
+     *
+     * Note: the timer is never cleared; the request pipeline uses `buildSignal()` instead.
      *
      * @param {Object} [opts={}] - Request-specific overrides.
      * @param {number} [opts.timeout] - Timeout duration in milliseconds. Overrides global timeout if provided.
@@ -559,33 +1915,36 @@ export class HTTP {
      */
     
     withTimeout(opts = {}) {
-	const timeout = opts.timeout ?? this.opts.timeout;
-
-	if (!timeout || opts.signal === false || this.opts.signal === false) {
-	    return {}; // No timeout, or explicitly disabled
-	}
-
-	const controller = new AbortController();
-
-	setTimeout(() => controller.abort(), timeout);
-
-	return { signal: controller.signal };
+	const { signal } = this.buildSignal(opts);
+	return signal ? { signal } : {}; // No timeout/signal, or explicitly disabled
     }
     
 
     /**
      * Parses an HTTP response object based on configuration flags.
      *
-     * Supports automatic JSON decoding, response body formatting, and full metadata packaging.
+     * Supports content-type driven body parsing (see `ResponseParsers.js`, `http.parsers`), response body formatting,
+     * and full metadata packaging.
      *
      * @param {Response} res - The raw `fetch` response object.
      * @param {Object} [opts={}] - Optional settings that affect parsing behavior.
-     * @param {boolean} [opts.json=true] - If true and response is JSON-compatible, parses the body as JSON.
+     * @param {boolean} [opts.json=true] - If true and response is JSON-compatible (`application/json`, `+json`, ...), parses the body as JSON.
+     * @param {string|function} [opts.responseType="auto"] - Body parser: `"auto"` (by content type), or one of
+     *   `"json"`, `"text"`, `"arrayBuffer"`, `"blob"`, `"formData"`, `"xml"`, `"csv"` (or a name added with `http.parsers.define()`),
+     *   or `(res, { contentType, mime, opts }) => value`.
      * @param {string} [opts.format="body"] - Determines the return format:
-     *   - `"body"` (default): returns the parsed body (JSON or text)
+     *   - `"body"` (default): returns the parsed body (JSON, text, Blob, ... per `responseType`)
      *   - `"full"`: returns an object with status, headers, body, and timing
-     *   - `"raw"`: returns the original `Response` object unprocessed
+     *   - `"raw"`: returns the original `Response` object unprocessed (body not read)
+     *   - `"stream"`: returns the body `ReadableStream`
+     *   - `"bytes"`: returns an async iterator of `Uint8Array` chunks
+     *   - `"lines"`: returns an async iterator of text lines
+     *   - `"ndjson"`: returns an async iterator of parsed JSON records
+     * @param {string} [opts.stream] - With `format: "full"`, one of the streaming formats above to use for `body`.
      * @param {number|null} [elapsed=null] - Optional elapsed time (in ms) for diagnostics.
+     * @param {object|null} [sendOpts=null] - The options passed to fetch, included in `full` output when `opts.sendOpts` is set.
+     * @param {object} [meta={}] - Extra dispatch metadata merged into `full` output (e.g. `attempts`).
+     * @param {ReadableStream|null} [stream=null] - Body stream for streaming formats (defaults to `res.body`).
      * @returns {Promise<*>} - A parsed body, a full response object, or the raw Response.
      *
      * @example
@@ -595,22 +1954,28 @@ export class HTTP {
      * @example
      * const full = await http.parseResponse(res, { format: "full" });
      * console.log(full.status, full.body);
+     *
+     * @example
+     * const full = await http.get('/export', { format: "full", stream: "ndjson" });
+     * for await (const row of full.body) console.log(row);
      */
-    async parseResponse(res, opts = {}, elapsed = null,sendOpts = null) {
+    async parseResponse(res, opts = {}, elapsed = null,sendOpts = null, meta = {}, stream = null) {
 	const isJSON = opts.json ?? this.opts.json ?? true;
 	const format = opts.format || this.opts.format || 'body';
 	const returnSendOpts = opts.sendOpts || this.opts.sendOpts || false;
-	const contentType = res.headers.get('content-type') || '';
-	const isContentJSON = contentType.includes('application/json');
+	const responseType = opts.responseType ?? this.opts.responseType ?? 'auto';
+	const streaming = this.streamMode(opts);
+
+	if (format === 'raw') return res;
 
 	let body;
-	if (isJSON && isContentJSON) {
-	    body = await res.json();
+	if (streaming) {
+	    body = streamAs(stream ?? res.body, streaming);
 	} else {
-	    body = await res.text();
+	    body = await this.parsers.parse(res, { responseType, json: isJSON });
 	}
 
-	if (format === 'raw') return res;
+	if (streaming && format !== 'full') return body;
 
 	if (format === 'full') {
 	    const base= {
@@ -622,6 +1987,7 @@ export class HTTP {
 		elapsedMs: elapsed,
 		headers: this.headersToObject(res.headers),
 		body,
+		...meta
 	    };
 	    if (returnSendOpts) base.sendOpts = sendOpts;
 	    return base;
@@ -632,6 +1998,78 @@ export class HTTP {
     }
 
 
+    /**
+     * Checks a parsed response against the request's `schema` (see `ResponseSchema.js`).
+     *
+     * The schema is picked by status and `content-type`; responses without a matching one, `format: 'raw'`
+     * and streaming formats are not checked. With `format: 'full'`, the outcome is added to the result as
+     * `validation: { valid, errors }`. When the body doesn't match, `validate` decides:
+     * - `'throw'` (default, or `true`) → reject with a `SchemaValidationError`
+     * - `'warn'`                       → `console.warn` the errors and return the body
+     * - `'annotate'`                   → only report it on `validation` (`format: 'full'`)
+     *
+     * @param {*} parsed - Output of `parseResponse()`.
+     * @param {Response} res
+     * @param {object} ctx - Dispatch context built by `_execute()`.
+     * @returns {Promise<object|null>} `{ valid, errors }`, or null when nothing was checked.
+     * @throws {SchemaValidationError} In `'throw'` mode.
+     */
+    async _validateResponse(parsed, res, ctx) {
+	const { opts } = ctx;
+	const mode = opts.validate ?? this.opts.validate ?? 'throw';
+	const schema = ResponseSchema.from(opts.schema);
+	const format = opts.format || this.opts.format || 'body';
+	if (!schema || mode === false || format === 'raw' || this.streamMode(opts) || res.type === 'opaque') return null;
+
+	const full = format === 'full';
+	const body = full ? parsed.body : parsed;
+	const headers = this.headersToObject(res.headers);
+	const result = await schema.validate(body, {
+	    status: res.status,
+	    contentType: headers['content-type'] ?? null,
+	    url: ctx.url,
+	    method: ctx.method,
+	    headers
+	});
+	if (!result) return null;
+	if (full) parsed.validation = result;
+	if (result.valid || mode === 'annotate') return result;
+
+	const summary = result.errors.slice(0, 3).map(e => `${e.path || '/'} ${e.message}`).join('; ')
+	      + (result.errors.length > 3 ? '; ...' : '');
+	const message = `Response schema validation failed: ${ctx.method} ${ctx.url} (${result.errors.length} error${result.errors.length === 1 ? '' : 's'}: ${summary})`;
+	if (mode === 'warn') {
+	    console.warn(message, result.errors);
+	    return result;
+	}
+	throw new SchemaValidationError(message, {
+	    errors: result.errors,
+	    status: res.status,
+	    statusText: res.statusText,
+	    url: ctx.url,
+	    method: ctx.method,
+	    headers,
+	    body,
+	    elapsedMs: performance.now() - ctx.start,
+	    sendOpts: ctx.sendOpts
+	});
+    }
+
+    /**
+     * Resolves which streaming format, if any, applies to a request.
+     *
+     * @param {object} [opts={}] - Per-request options (falls back to instance `format`).
+     * @returns {string|null} One of `STREAM_FORMATS`, or null for buffered formats.
+     *   `format: 'full'` combined with `stream: 'lines'` (etc.) streams the `body` field.
+     */
+    streamMode(opts = {}) {
+	const format = opts.format || this.opts.format || 'body';
+	const formats = this.constructor.STREAM_FORMATS;
+	if (formats.includes(format)) return format;
+	if (format === 'full' && formats.includes(opts.stream)) return opts.stream;
+	return null;
+    }
+
     /**
      * Converts a `Headers` object (from `fetch`) into a plain JavaScript object.
      *
@@ -677,26 +2115,85 @@ export class HTTP {
     }
 
     /**
-     * Converts a flat object of key-value pairs into a URL-encoded query string.
+     * Converts an object of parameters into a URL-encoded query string.
      *
      * Useful for appending query parameters to GET request URLs or form submissions.
+     * Arrays and nested objects are written according to `style` (see `utils/query.js`);
+     * `undefined` / `null` values are skipped and Dates become ISO strings.
      *
-     * @param {Object} params - An object containing key-value pairs to encode.
+     * @param {Object|URLSearchParams|string} params - Parameters to encode.
+     * @param {string} [style=this.opts.queryStyle] - `'comma'` (default), `'repeat'`, `'brackets'` or `'deepObject'`.
      * @returns {string} A URL-encoded query string (e.g., "a=1&b=2"), or an empty string if invalid input.
      *
      * @example
      * http.toQueryParams({ foo: "bar", count: 5 });
      * // → "foo=bar&count=5"
+     *
+     * @example
+     * http.toQueryParams({ ids: [1, 2], filter: { status: "open" } }, "brackets");
+     * // → "ids%5B%5D=1&ids%5B%5D=2&filter%5Bstatus%5D=open"   (ids[]=1&ids[]=2&filter[status]=open)
      */
-    toQueryParams(params) {
-	if (!params || typeof params !== 'object') return '';
-	const query = new URLSearchParams(params).toString();
-	return query ?? '';
+    toQueryParams(params, style = undefined) {
+	return serializeQuery(params, style ?? this.opts.queryStyle ?? 'comma');
     }
 
     
 }
 
+/**
+ * Defines accessors that return `fallbacks[key]()` until the property is assigned (see `HTTP.extend()`);
+ * assigning `undefined` returns to the fallback.
+ * @param {object} target
+ * @param {object} fallbacks - `{ [key]: () => value }`
+ */
+function inheritLive(target, fallbacks) {
+    const own = {};
+    for (const [key, fallback] of Object.entries(fallbacks)) {
+	Object.defineProperty(target, key, {
+	    get: () => (key in own ? own[key] : fallback()),
+	    set: (value) => {
+		if (value === undefined) delete own[key]; // back to the fallback
+		else own[key] = value;
+	    },
+	    enumerable: true,
+	    configurable: true
+	});
+    }
+}
+
+// throws unless later requests can be resolved against `base` (relative bases only where there is a page URL)
+function checkBase(base, given) {
+    try {
+	new URL(base, globalThis.location?.href);
+    } catch (err) {
+	throw new Error(`HTTP: setBase() got an invalid base URL ${JSON.stringify(given)} (${err?.message ?? err})`);
+    }
+}
+
+// a child's relative `url` against its parent's base: 'billing/' on https://api.test/v1/ → https://api.test/v1/billing/
+function resolveBase(parentBase, url) {
+    try {
+	return new URL(url, parentBase).href;
+    } catch (err) {
+	return parentBase.replace(/\/?$/, '/') + url.replace(/^\//, '');
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// plain objects are merged recursively; anything else in `over` replaces `base`
+function deepMerge(base, over) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(over))
+	out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+    return out;
+}
+
+function isAbortSignal(value) {
+    return typeof AbortSignal !== 'undefined' && value instanceof AbortSignal;
+}
 
 /**
  * debugHandler
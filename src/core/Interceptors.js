@@ -0,0 +1,159 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * Interceptors
+ * ------------
+ * Ordered, async hook pipeline used by `HTTP` around every dispatched request.
+ *
+ * Stages (run in registration order):
+ * - `request`  → before `fetch()`.            `fn(ctx)`
+ *                Mutate `ctx.url` / `ctx.sendOpts` (headers, body, ...) in place.
+ *                Return a `Response` to short-circuit; `fetch()` is then skipped.
+ * - `response` → between `fetch()` and `parseResponse()`.  `fn(res, ctx)`
+ *                Return a `Response` to replace the one received; anything else keeps it.
+ * - `result`   → after `processResponse()`.    `fn(data, ctx)`
+ *                Return a value to replace the result; `undefined` keeps it.
+ *
+ * The `ctx` object is shared across all stages of a single request:
+ *   { method, url, sendOpts, opts, http }
+ *
+ * Usage:
+ * ```js
+ * http.interceptors.use('request', (ctx) => {
+ *     ctx.sendOpts.headers['X-Trace-Id'] = crypto.randomUUID();
+ * });
+ * http.interceptors.use('result', (data) => data?.envelope ? data.payload : undefined);
+ * ```
+ *
+ * @class Interceptors
+ */
+export class Interceptors {
+    static get STAGES() {
+	return ['request', 'response', 'result'];
+    }
+
+    /**
+     * @param {object} [initial={}] - Optional `{ request: [fn], response: [fn], result: [fn] }` to pre-register.
+     * @param {Interceptors|null} [parent=null] - Pipeline whose hooks run before these (see `HTTP.extend()`).
+     *   Read live; `eject()` / `clear()` only touch this instance's own hooks.
+     */
+    constructor(initial = {}, parent = null) {
+	this.parent = parent;
+	this.handlers = {};
+	this.nextId = 1;
+	for (const stage of this.constructor.STAGES) {
+	    this.handlers[stage] = [];
+	    const list = initial?.[stage];
+	    if (!list) continue;
+	    for (const fn of [].concat(list))
+		this.use(stage, fn);
+	}
+    }
+
+    /**
+     * Register an interceptor.
+     *
+     * @param {'request'|'response'|'result'} stage
+     * @param {function} fn - Sync or async hook (see stage signatures above).
+     * @returns {number} Handle to pass to `eject()`.
+     */
+    use(stage, fn) {
+	if (!this.handlers[stage])
+	    throw new Error(`Interceptors: unknown stage "${stage}". Must be one of: ${this.constructor.STAGES.join(', ')}`);
+	if (typeof fn !== 'function')
+	    throw new Error(`Interceptors: ${stage} interceptor must be a function`);
+
+	const id = this.nextId++;
+	this.handlers[stage].push({ id, fn });
+	return id;
+    }
+
+    /**
+     * Remove a previously registered interceptor.
+     *
+     * @param {number} id - Handle returned by `use()`.
+     * @returns {boolean} True if an interceptor was removed.
+     */
+    eject(id) {
+	for (const stage of this.constructor.STAGES) {
+	    const idx = this.handlers[stage].findIndex(h => h.id === id);
+	    if (idx !== -1) {
+		this.handlers[stage].splice(idx, 1);
+		return true;
+	    }
+	}
+	return false;
+    }
+
+    /**
+     * Remove all interceptors, or only those of one stage.
+     * @param {string} [stage]
+     */
+    clear(stage = null) {
+	for (const s of this.constructor.STAGES) {
+	    if (!stage || stage === s) this.handlers[s] = [];
+	}
+    }
+
+    /**
+     * @param {string} stage
+     * @returns {number} Number of interceptors registered for the stage (the parent's included).
+     */
+    count(stage) {
+	return this.list(stage).length;
+    }
+
+    /**
+     * @param {string} stage
+     * @returns {Array<{id: number, fn: function}>} The hooks run for a stage, in order: the parent's, then own.
+     */
+    list(stage) {
+	const own = this.handlers[stage] ?? [];
+	return this.parent ? [...this.parent.list(stage), ...own] : [...own];
+    }
+
+    /**
+     * Runs `request` interceptors.
+     * @returns {Promise<Response|null>} A synthetic Response if one short-circuited the chain, else null.
+     */
+    async runRequest(ctx) {
+	for (const { fn } of this.list('request')) {
+	    const out = await fn(ctx);
+	    if (isResponse(out)) return out;
+	}
+	return null;
+    }
+
+    /**
+     * Runs `response` interceptors.
+     * @returns {Promise<Response>} The (possibly replaced) Response.
+     */
+    async runResponse(res, ctx) {
+	for (const { fn } of this.list('response')) {
+	    const out = await fn(res, ctx);
+	    if (isResponse(out)) res = out;
+	}
+	return res;
+    }
+
+    /**
+     * Runs `result` interceptors.
+     * @returns {Promise<*>} The (possibly replaced) result.
+     */
+    async runResult(data, ctx) {
+	for (const { fn } of this.list('result')) {
+	    const out = await fn(data, ctx);
+	    if (out !== undefined) data = out;
+	}
+	return data;
+    }
+}
+
+function isResponse(value) {
+    return typeof Response !== 'undefined' && value instanceof Response;
+}
+
+export default Interceptors;
@@ -7,6 +7,7 @@ import AutoLoader    from '../loader/AutoLoader.js';
 import SpecManager   from '../spec/SpecManager.js';
 import ModuleManager from '../modules/ModuleManager.js';
 import BatchLoader   from '../batch/BatchLoader.js';
+import EventManager  from '../events/EventManager.js';
 
 /**
  * Net
@@ -17,15 +18,29 @@ import BatchLoader   from '../batch/BatchLoader.js';
  * - modular API call management
  * - dynamic JS module importing
  * - batched request orchestration
+ * - Server-Sent Event streams
  *
  * Intended as a one-stop hub for apps interacting with dynamic, declarative, or
  * service-driven APIs. Each subcomponent is accessible through its respective namespace.
  *
+ * All subcomponents share `this.http`, so its options apply everywhere; e.g. a `transport`
+ * (such as a `MockTransport`) runs spec loading, spec calls and batches against fixtures.
+ * Modules loaded by `ModuleManager` still go through `import()`.
+ * Instance-level fetch options go in `fetchDefaults` (no `HTTP` subclass needed), and
+ * `setDefaults()` changes defaults at runtime (environment switch, rotated token, ...).
+ *
  * Usage:
  * ```js
  * const net = new Net();
  * await net.specs.load('/specs/openapi.json');
  * const res = await net.specs.call('mySpec', 'listItems');
+ *
+ * // offline, against fixtures
+ * const offline = new Net({ url: 'https://api.test', transport: new MockTransport().get('/items', { json: [] }) });
+ *
+ * // cookies cross-origin, then switch environment at runtime
+ * const app = new Net({ url: 'https://api.example.com/', fetchDefaults: { credentials: 'include' } });
+ * app.setDefaults({ url: 'https://staging.example.com/', headers: { Authorization: `Bearer ${token}` } });
  * ```
  */
 export class Net {
@@ -55,6 +70,23 @@ export class Net {
          * Coordinates multiple HTTP requests and triggers a callback when all complete.
          */
         this.batch = new BatchLoader(this);
+
+        /**
+         * Named Server-Sent Event streams opened over the shared HTTP instance.
+         */
+        this.events = new EventManager(this);
+    }
+
+    /**
+     * Changes the defaults of the shared `http` at runtime (see `HTTP.setDefaults()`);
+     * spec calls, batches and event streams made afterwards use them.
+     *
+     * @param {object} defaults - e.g. `{ url, headers, timeout, credentials, auth }`
+     * @returns {Net} this
+     */
+    setDefaults(defaults) {
+        this.http.setDefaults(defaults);
+        return this;
     }
 }
 
@@ -0,0 +1,200 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * OriginPool
+ * ----------
+ * Several interchangeable base URLs (mirrors, regions, replicas) for one API, enabled with
+ * `new HTTP({ origins: [...] })` (kept on `http.origins`) or per request with `opts.origins`.
+ *
+ * Requests whose URL starts with one of the origins are sent to the first *healthy* origin, in list order:
+ *
+ * - failover → on a network error, a timeout, a status in `statuses`, or an open circuit (`CircuitOpenError`),
+ *              the origin is marked unhealthy and the request moves on to the next one, at once
+ *              (within the same retry attempt; see `retry` for what happens once every origin failed).
+ * - cooldown → an unhealthy origin is only tried after the healthy ones, until `cooldown` ms have passed;
+ *              it is then back in rotation, and a success marks it healthy again.
+ * - hedging  → with `hedge: ms`, if the first origin hasn't answered within `ms`, the same request is also
+ *              sent to the next origin; the first usable answer wins and the other request is aborted.
+ *
+ * Failover only applies to `methods` (idempotent methods by default; a request that reached a server may
+ * have had effects), hedging only to `hedgeMethods`. Other methods still go to the first healthy origin.
+ *
+ * Usage:
+ * ```js
+ * const http = new HTTP({
+ *     origins: {
+ *         urls: ['https://eu.api.example.com/v1/', 'https://us.api.example.com/v1/'],
+ *         cooldown: 15000,
+ *         hedge: 300
+ *     }
+ * });
+ * await http.get('items');   // → https://eu.api.example.com/v1/items, or us.… if eu is down / slow
+ * ```
+ *
+ * @class OriginPool
+ */
+export class OriginPool {
+    /**
+     * @param {object} [opts={}]
+     * @param {string[]} [opts.urls=[]] - Base URLs (origins), in order of preference.
+     * @param {number} [opts.cooldown=30000] - Time (ms) a failed origin stays behind the healthy ones.
+     * @param {number[]} [opts.statuses] - Response statuses that fail over (default: 500, 502, 503, 504).
+     * @param {string[]} [opts.methods] - Methods that fail over (default: GET, HEAD, OPTIONS, PUT, DELETE).
+     * @param {number|null} [opts.hedge=null] - Delay (ms) before a hedged request is sent to the next origin.
+     * @param {string[]} [opts.hedgeMethods] - Methods that may be hedged (default: GET, HEAD, OPTIONS).
+     */
+    constructor({
+	urls = [],
+	cooldown = 30000,
+	statuses = [500, 502, 503, 504],
+	methods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+	hedge = null,
+	hedgeMethods = ['GET', 'HEAD', 'OPTIONS']
+    } = {}) {
+	this.origins = urls.map(normalizeOrigin).filter(Boolean);
+	if (!this.origins.length)
+	    throw new Error('OriginPool: at least one origin URL is required');
+	this.cooldown = cooldown;
+	this.statuses = statuses;
+	this.methods = methods.map(m => String(m).toUpperCase());
+	this.hedge = hedge;
+	this.hedgeMethods = hedgeMethods.map(m => String(m).toUpperCase());
+	this.health = new Map(); // origin → { failures, downUntil, lastError }
+    }
+
+    /**
+     * Normalizes the `origins` option of `HTTP` (and of a request).
+     * @param {string[]|object|OriginPool|null} opt - A list of base URLs, options, or an instance.
+     * @returns {OriginPool|null}
+     */
+    static from(opt) {
+	if (!opt) return null;
+	if (opt instanceof OriginPool) return opt;
+	return new OriginPool(Array.isArray(opt) ? { urls: opt } : opt);
+    }
+
+    /**
+     * The first origin (the default base URL of an `HTTP` configured with this pool).
+     * @returns {string}
+     */
+    get primary() {
+	return this.origins[0];
+    }
+
+    /**
+     * Origins in the order they should be tried: healthy ones in list order, then the
+     * unhealthy ones, those closest to the end of their cooldown first.
+     * @returns {string[]}
+     */
+    candidates() {
+	const now = Date.now();
+	const down = (origin) => (this.health.get(origin)?.downUntil ?? 0) > now;
+	const healthy = this.origins.filter(origin => !down(origin));
+	const unhealthy = this.origins.filter(down)
+	      .sort((a, b) => this.health.get(a).downUntil - this.health.get(b).downUntil);
+	return [...healthy, ...unhealthy];
+    }
+
+    /**
+     * Plans a request: the URLs to try, in order, and whether to hedge.
+     * @param {string} url - Fully resolved request URL.
+     * @param {string} method
+     * @param {object} [opts={}] - Per-request options; `hedge` (ms or `false`) overrides the pool's.
+     * @returns {object|null} `{ targets: [{ origin, url }], failover, hedge }`, or null if `url` is under none of the origins.
+     */
+    route(url, method, { hedge = undefined } = {}) {
+	const origin = this.origins
+	      .filter(o => url.startsWith(o))
+	      .sort((a, b) => b.length - a.length)[0];
+	if (!origin) return null;
+
+	const path = url.slice(origin.length);
+	const failover = this.methods.includes(method);
+	const targets = this.candidates().map(o => ({ origin: o, url: o + path }));
+	const delay = hedge === undefined ? this.hedge : hedge;
+	return {
+	    targets: failover ? targets : targets.slice(0, 1),
+	    failover,
+	    hedge: failover && this.hedgeMethods.includes(method) && typeof delay === 'number' ? delay : null
+	};
+    }
+
+    /**
+     * Whether an attempt's outcome counts against its origin (and fails over).
+     * @param {Response|null} res
+     * @param {Error|null} error
+     * @returns {boolean}
+     */
+    isFailure(res, error) {
+	if (error) return error.name !== 'AbortError';
+	return !!res && this.statuses.includes(res.status);
+    }
+
+    /**
+     * Takes an origin out of rotation for `cooldown` ms.
+     * @param {string} origin
+     * @param {Error|number|null} [reason=null] - The error or status, kept for `snapshot()`.
+     */
+    markDown(origin, reason = null) {
+	const entry = this._entry(origin);
+	entry.failures++;
+	entry.downUntil = Date.now() + this.cooldown;
+	entry.lastError = reason instanceof Error ? reason.message : reason;
+    }
+
+    /**
+     * Puts an origin back in rotation (called on every success).
+     * @param {string} origin
+     */
+    markUp(origin) {
+	const entry = this.health.get(origin);
+	if (!entry) return;
+	entry.failures = 0;
+	entry.downUntil = 0;
+	entry.lastError = null;
+    }
+
+    /**
+     * Forgets the health of every origin.
+     * @returns {OriginPool} this
+     */
+    reset() {
+	this.health.clear();
+	return this;
+    }
+
+    /**
+     * Health of every origin.
+     * @returns {object} `{ [origin]: { healthy, failures, downUntil, lastError } }`
+     */
+    snapshot() {
+	const now = Date.now();
+	const out = {};
+	for (const origin of this.origins) {
+	    const { failures = 0, downUntil = 0, lastError = null } = this.health.get(origin) ?? {};
+	    out[origin] = { healthy: downUntil <= now, failures, downUntil: downUntil > now ? downUntil : null, lastError };
+	}
+	return out;
+    }
+
+    _entry(origin) {
+	let entry = this.health.get(origin);
+	if (!entry) {
+	    entry = { failures: 0, downUntil: 0, lastError: null };
+	    this.health.set(origin, entry);
+	}
+	return entry;
+    }
+}
+
+// 'https://api.example.com/v1' → 'https://api.example.com/v1/'
+function normalizeOrigin(url) {
+    if (typeof url !== 'string' || !url.trim()) return null;
+    const clean = url.trim();
+    return clean.endsWith('/') ? clean : clean + '/';
+}
+
+export default OriginPool;
@@ -0,0 +1,259 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import { parseRetryAfter } from '../utils/retry.js';
+
+/**
+ * RateLimiter
+ * -----------
+ * Token-bucket rate limiting for `HTTP`, enabled with `new HTTP({ rateLimit })`.
+ *
+ * Unlike `concurrencyLimiter` (which caps parallelism), buckets cap requests per unit of time.
+ * Every fetch attempt (including retries) takes a token from the bucket matching its URL,
+ * so requests made through `SpecManager.call()` and `BatchLoader.run()` are limited too.
+ *
+ * Rules are matched in order, first match wins; `match` is one of:
+ * - a host (`'api.partner.com'` or `'api.partner.com:8443'`)
+ * - a path prefix on any host (`'/v2/search'`)
+ * - a URL prefix (`'https://api.partner.com/v2/'`)
+ *
+ * URLs matching no rule get a bucket per host, limited by `perHost` (unlimited by default).
+ *
+ * Every bucket also backs off when the server asks: on `429` / `503` with `Retry-After`,
+ * or on any response reporting `X-RateLimit-Remaining: 0` (or `RateLimit-Remaining: 0`)
+ * with a `X-RateLimit-Reset` / `RateLimit-Reset`, the bucket is paused until then.
+ * A bare `429` pauses it for `fallbackPause` ms.
+ *
+ * Usage:
+ * ```js
+ * const http = new HTTP({
+ *     rateLimit: {
+ *         rules: [
+ *             { match: 'api.partner.com', rate: 10 },              // 10 req/s
+ *             { match: '/reports/', rate: 30, interval: 60000 }    // 30 req/min, any host
+ *         ]
+ *     }
+ * });
+ * ```
+ *
+ * @class RateLimiter
+ */
+export class RateLimiter {
+    /**
+     * @param {object} [opts={}]
+     * @param {object[]} [opts.rules=[]] - `{ match, rate, interval = 1000, burst = rate }`
+     * @param {object|null} [opts.perHost=null] - `{ rate, interval, burst }` for hosts without a rule.
+     * @param {number} [opts.fallbackPause=1000] - Pause (ms) after a `429` that gives no reset time.
+     * @param {number} [opts.maxPause=300000] - Cap (ms) for server-requested pauses.
+     * @throws {Error} If a rule (or `perHost`) has a `rate`, `interval` or `burst` that isn't a positive number.
+     */
+    constructor({ rules = [], perHost = null, fallbackPause = 1000, maxPause = 300000 } = {}) {
+	this.rules = rules.map(rule => checkLimits({ interval: 1000, ...rule }, `rule "${rule.match}"`));
+	this.perHost = perHost && checkLimits(perHost, 'perHost');
+	this.fallbackPause = fallbackPause;
+	this.maxPause = maxPause;
+	this.buckets = new Map(); // key → TokenBucket
+    }
+
+    /**
+     * Normalizes the `rateLimit` option of `HTTP`.
+     * @param {boolean|object[]|object|RateLimiter|null} opt - `true` (server back-off only), a rule list, options, or an instance.
+     * @returns {RateLimiter|null}
+     */
+    static from(opt) {
+	if (!opt) return null;
+	if (opt instanceof RateLimiter) return opt;
+	if (Array.isArray(opt)) return new RateLimiter({ rules: opt });
+	return new RateLimiter(opt === true ? {} : opt);
+    }
+
+    /**
+     * Adds a rule (checked after the existing ones).
+     * @param {object} rule - `{ match, rate, interval, burst }`
+     * @returns {RateLimiter} this
+     * @throws {Error} If `rate`, `interval` or `burst` isn't a positive number.
+     */
+    addRule(rule) {
+	this.rules.push(checkLimits({ interval: 1000, ...rule }, `rule "${rule.match}"`));
+	return this;
+    }
+
+    /**
+     * Returns (creating it if needed) the bucket a URL draws from.
+     * @param {string} url
+     * @returns {TokenBucket}
+     */
+    bucketFor(url) {
+	const parsed = new URL(url, typeof window !== 'undefined' ? window.location.href : 'http://localhost/');
+	const index = this.rules.findIndex(rule => matches(rule.match, url, parsed));
+	const key = index === -1 ? `host:${parsed.host}` : `rule:${index}`;
+
+	let bucket = this.buckets.get(key);
+	if (!bucket) {
+	    bucket = new TokenBucket(index === -1 ? (this.perHost ?? {}) : this.rules[index]);
+	    this.buckets.set(key, bucket);
+	}
+	return bucket;
+    }
+
+    /**
+     * Waits for a token. Resolves early (without a token) if `signal` aborts; check `signal.aborted` afterwards.
+     * @param {string} url
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>}
+     */
+    acquire(url, signal = undefined) {
+	return this.bucketFor(url).take(signal);
+    }
+
+    /**
+     * Applies the server's rate-limit hints from a response (see class doc).
+     * @param {string} url
+     * @param {Response} res
+     * @returns {number|null} The pause applied (ms), or null.
+     */
+    observe(url, res) {
+	const delay = this.pauseFor(res);
+	if (delay === null) return null;
+	const ms = Math.min(delay, this.maxPause);
+	this.bucketFor(url).pause(ms);
+	return ms;
+    }
+
+    /**
+     * Pauses the bucket of `url` for `ms` milliseconds.
+     * @param {string} url
+     * @param {number} ms
+     */
+    pause(url, ms) {
+	this.bucketFor(url).pause(ms);
+    }
+
+    /**
+     * Reads the pause requested by a response, if any.
+     * @param {Response} res
+     * @param {number} [now=Date.now()]
+     * @returns {number|null} Milliseconds, or null.
+     */
+    pauseFor(res, now = Date.now()) {
+	const headers = res.headers;
+	if (res.status === 429 || res.status === 503) {
+	    const after = parseRetryAfter(headers.get('retry-after'), now);
+	    if (after !== null) return after;
+	}
+
+	const remaining = headers.get('x-ratelimit-remaining') ?? headers.get('ratelimit-remaining');
+	const reset = parseReset(headers.get('x-ratelimit-reset') ?? headers.get('ratelimit-reset'), now);
+	if (remaining !== null && parseInt(remaining, 10) <= 0 && reset !== null) return reset;
+
+	return res.status === 429 ? this.fallbackPause : null;
+    }
+}
+
+/**
+ * TokenBucket
+ * Holds up to `burst` tokens (default: `rate`, at least 1), refilled at `rate` per `interval` ms. Waiters are served FIFO.
+ * A bucket without `rate` never runs out, but can still be paused.
+ * Throws if `rate` or `interval` isn't a positive number, or `burst` is below 1 (no token could ever be taken).
+ */
+export class TokenBucket {
+    constructor({ rate = Infinity, interval = 1000, burst = Math.max(1, rate) } = {}) {
+	checkLimits({ rate, interval, burst }, 'bucket');
+	this.rate = rate;
+	this.interval = interval;
+	this.burst = burst;
+	this.tokens = burst;
+	this.updated = Date.now();
+	this.pausedUntil = 0;
+	this.waiters = [];
+	this.timer = null;
+    }
+
+    take(signal = undefined) {
+	return new Promise(resolve => {
+	    if (signal?.aborted) return resolve();
+	    const waiter = { resolve };
+	    const onAbort = () => {
+		const idx = this.waiters.indexOf(waiter);
+		if (idx !== -1) this.waiters.splice(idx, 1);
+		resolve();
+	    };
+	    waiter.resolve = () => {
+		signal?.removeEventListener('abort', onAbort);
+		resolve();
+	    };
+	    signal?.addEventListener('abort', onAbort, { once: true });
+	    this.waiters.push(waiter);
+	    this._pump();
+	});
+    }
+
+    pause(ms) {
+	this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    /**
+     * @param {number} [now=Date.now()]
+     * @returns {number} Milliseconds until a token is available.
+     */
+    wait(now = Date.now()) {
+	this._refill(now);
+	if (this.pausedUntil > now) return this.pausedUntil - now;
+	if (this.tokens >= 1) return 0;
+	return Math.ceil(((1 - this.tokens) * this.interval) / this.rate);
+    }
+
+    _refill(now) {
+	if (Number.isFinite(this.rate))
+	    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updated) * this.rate) / this.interval);
+	this.updated = now;
+    }
+
+    _pump() {
+	if (this.timer) return;
+	while (this.waiters.length) {
+	    const delay = this.wait();
+	    if (delay > 0) {
+		this.timer = setTimeout(() => {
+		    this.timer = null;
+		    this._pump();
+		}, delay);
+		return;
+	    }
+	    if (Number.isFinite(this.rate)) this.tokens -= 1;
+	    this.waiters.shift().resolve();
+	}
+    }
+}
+
+// `{ rate, interval, burst }` → itself; throws on values the bucket can't work with
+// (a zero or negative rate would wait forever, and busy-loop on a clamped timer)
+function checkLimits(limits, label) {
+    const { rate, interval, burst } = limits;
+    const positive = (value) => typeof value === 'number' && value > 0;
+    if (rate !== undefined && !positive(rate))
+	throw new Error(`RateLimiter: ${label} has an invalid rate ${rate} (must be a number > 0)`);
+    if (interval !== undefined && !(positive(interval) && Number.isFinite(interval)))
+	throw new Error(`RateLimiter: ${label} has an invalid interval ${interval} (must be a number of ms > 0)`);
+    if (burst !== undefined && !(typeof burst === 'number' && burst >= 1))
+	throw new Error(`RateLimiter: ${label} has an invalid burst ${burst} (must be a number >= 1)`);
+    return limits;
+}
+
+function matches(match, url, parsed) {
+    if (typeof match !== 'string' || !match) return false;
+    if (match.includes('://')) return url.startsWith(match);
+    if (match.startsWith('/')) return parsed.pathname.startsWith(match);
+    return parsed.host === match || parsed.hostname === match;
+}
+
+// X-RateLimit-Reset is either epoch seconds or seconds from now
+function parseReset(value, now) {
+    if (value === null || value === undefined) return null;
+    const n = parseFloat(value);
+    if (!Number.isFinite(n)) return null;
+    return Math.max(0, n > 1e9 ? n * 1000 - now : n * 1000);
+}
+
+export default RateLimiter;
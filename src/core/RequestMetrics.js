@@ -0,0 +1,182 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * RequestMetrics
+ * --------------
+ * Aggregates the lifecycle events of an `HTTP` instance (see `HTTP.on()`) into per-host and
+ * per-`opts.id` statistics: latency percentiles, error rate, in-flight count, retries and bytes.
+ *
+ * Enabled with `new HTTP({ metrics: true })` (kept on `http.metrics`), or attached to any instance:
+ * ```js
+ * const metrics = new RequestMetrics(http, { window: 500 });
+ * setInterval(() => telemetry.push(metrics.snapshot()), 10000);
+ * ```
+ *
+ * Snapshot shape:
+ * ```js
+ * {
+ *   total: Stats,
+ *   hosts: { 'api.example.com': Stats, ... },
+ *   ids:   { 'search': Stats, ... }          // requests made with `opts.id`
+ * }
+ * // Stats: { count, inFlight, errors, aborted, retries, errorRate, p50, p95, p99, mean, bytesSent, bytesReceived }
+ * ```
+ *
+ * - `count` counts finished requests (ended, failed or aborted).
+ * - `errors` counts requests that threw (network error, timeout, `throwOnError`) or ended with a status >= 400;
+ *   `errorRate` is `errors / (count - aborted)`. Aborted requests count neither as errors nor in latency.
+ * - Latency percentiles (ms) cover the last `window` finished requests of each group.
+ *
+ * @class RequestMetrics
+ */
+export class RequestMetrics {
+    /**
+     * Normalizes the `metrics` option of `HTTP`.
+     * @param {boolean|object|RequestMetrics|null} opt - `true`, `{ window }`, or an instance.
+     * @param {HTTP} http - The instance to attach to.
+     * @returns {RequestMetrics|null}
+     */
+    static from(opt, http) {
+	if (!opt) return null;
+	if (opt instanceof RequestMetrics) return opt.attach(http);
+	return new RequestMetrics(http, opt === true ? {} : opt);
+    }
+
+    /**
+     * @param {HTTP} [http] - Instance to attach to (see `attach()`).
+     * @param {object} [opts={}]
+     * @param {number} [opts.window=1000] - Latency samples kept per group.
+     */
+    constructor(http = null, { window = 1000 } = {}) {
+	this.window = window;
+	this.listener = (event) => this.record(event);
+	this.attached = new Set();
+	this.reset();
+	if (http) this.attach(http);
+    }
+
+    /**
+     * Starts listening to an `HTTP` instance (several instances can feed the same metrics).
+     * @returns {RequestMetrics} this
+     */
+    attach(http) {
+	if (!this.attached.has(http)) {
+	    http.on('*', this.listener);
+	    this.attached.add(http);
+	}
+	return this;
+    }
+
+    /**
+     * Stops listening to one instance, or to all of them.
+     * @param {HTTP} [http]
+     * @returns {RequestMetrics} this
+     */
+    detach(http = undefined) {
+	for (const target of http ? [http] : [...this.attached]) {
+	    target.off('*', this.listener);
+	    this.attached.delete(target);
+	}
+	return this;
+    }
+
+    /**
+     * Clears all statistics. Requests in flight are forgotten.
+     */
+    reset() {
+	this.total = emptyGroup();
+	this.hosts = new Map();
+	this.ids = new Map();
+    }
+
+    /**
+     * Feeds one lifecycle event (called by the `'*'` listener).
+     * @param {object} event
+     */
+    record(event) {
+	const groups = [this.total];
+	if (event.host) groups.push(group(this.hosts, event.host)); // null for relative URLs outside a browser
+	if (event.id !== null && event.id !== undefined) groups.push(group(this.ids, String(event.id)));
+
+	for (const g of groups) {
+	    switch (event.type) {
+	    case 'request:start':
+		g.inFlight++;
+		break;
+	    case 'request:retry':
+		g.retries++;
+		break;
+	    case 'request:end':
+	    case 'request:error':
+	    case 'request:abort':
+		g.inFlight = Math.max(0, g.inFlight - 1);
+		g.count++;
+		g.bytesSent += event.bytes?.sent ?? 0;
+		g.bytesReceived += event.bytes?.received ?? 0;
+		if (event.type === 'request:abort') {
+		    g.aborted++;
+		    break;
+		}
+		if (event.type === 'request:error' || event.status >= 400) g.errors++;
+		g.samples.push(event.durationMs);
+		if (g.samples.length > this.window) g.samples.shift();
+		break;
+	    default:
+		break;
+	    }
+	}
+    }
+
+    /**
+     * @returns {{ total: object, hosts: object, ids: object }} Current statistics (see class notes).
+     */
+    snapshot() {
+	const out = { total: stats(this.total), hosts: {}, ids: {} };
+	for (const [host, g] of this.hosts) out.hosts[host] = stats(g);
+	for (const [id, g] of this.ids) out.ids[id] = stats(g);
+	return out;
+    }
+
+    toJSON() {
+	return this.snapshot();
+    }
+}
+
+function emptyGroup() {
+    return { count: 0, inFlight: 0, errors: 0, aborted: 0, retries: 0, bytesSent: 0, bytesReceived: 0, samples: [] };
+}
+
+function group(map, key) {
+    if (!map.has(key)) map.set(key, emptyGroup());
+    return map.get(key);
+}
+
+function stats(g) {
+    const sorted = g.samples.slice().sort((a, b) => a - b);
+    const settled = g.count - g.aborted;
+    return {
+	count: g.count,
+	inFlight: g.inFlight,
+	errors: g.errors,
+	aborted: g.aborted,
+	retries: g.retries,
+	errorRate: settled ? g.errors / settled : 0,
+	p50: percentile(sorted, 0.5),
+	p95: percentile(sorted, 0.95),
+	p99: percentile(sorted, 0.99),
+	mean: sorted.length ? sorted.reduce((sum, v) => sum + v, 0) / sorted.length : null,
+	bytesSent: g.bytesSent,
+	bytesReceived: g.bytesReceived
+    };
+}
+
+// nearest-rank percentile of a sorted list
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+export default RequestMetrics;
@@ -0,0 +1,271 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * ResponseParsers
+ * ---------------
+ * Content-type driven body parsing used by `HTTP.parseResponse()` (kept on `http.parsers`).
+ *
+ * Rules map a content type to a parser, and are checked in order: rules you `register()` first,
+ * then the built-ins, which only pick out JSON (`application/json`, `text/json`, any `+json` suffix).
+ * Anything unmatched is read as text, as before parsers existed.
+ *
+ * `CONTENT_RULES` maps the other types to their parsers; they are opt-in (register them, or pass them
+ * as the `parsers` option of `HTTP`), since they change what `http.get()` resolves to:
+ *
+ * | Content type                                               | Parser        |
+ * |------------------------------------------------------------|---------------|
+ * | `application/xml`, `text/xml`, any `+xml` suffix           | `xml`         |
+ * | `text/csv`                                                 | `csv`         |
+ * | `multipart/form-data`                                      | `formData`    |
+ * | `image/*`, `audio/*`, `video/*`, `font/*`, `application/octet-stream`, `pdf`, `zip`, `gzip`, `wasm` | `blob` |
+ *
+ * Named parsers (usable as rule targets and as the per-request `responseType`):
+ * - `json`        → parsed JSON; `null` for an empty body (HEAD, 204, ...)
+ * - `text`        → string
+ * - `arrayBuffer` → `ArrayBuffer`
+ * - `blob`        → `Blob`
+ * - `formData`    → `FormData`
+ * - `xml`         → `Document` via `DOMParser` where available (browsers), else the text
+ * - `csv`         → array of rows, each an array of strings (see `parseCSV()`)
+ *
+ * Usage:
+ * ```js
+ * http.parsers.register('application/x-yaml', (res) => res.text().then(YAML.parse));
+ * http.parsers.register(/^application\/vnd\.acme\./, 'json');
+ * const bytes = await http.get('/file', { responseType: 'arrayBuffer' });
+ * const http2 = new HTTP({ parsers: ResponseParsers.CONTENT_RULES });   // XML, CSV, FormData, Blob by content type
+ * ```
+ *
+ * @class ResponseParsers
+ */
+export class ResponseParsers {
+    static get BUILTIN_RULES() {
+	return [
+	    ['application/json', 'json'],
+	    ['text/json', 'json'],
+	    ['*/*+json', 'json']
+	];
+    }
+
+    // opt-in: `new HTTP({ parsers: ResponseParsers.CONTENT_RULES })` (see class doc)
+    static get CONTENT_RULES() {
+	return [
+	    ['application/xml', 'xml'],
+	    ['text/xml', 'xml'],
+	    ['*/*+xml', 'xml'],
+	    ['text/csv', 'csv'],
+	    ['multipart/form-data', 'formData'],
+	    ['image/*', 'blob'],
+	    ['audio/*', 'blob'],
+	    ['video/*', 'blob'],
+	    ['font/*', 'blob'],
+	    ['application/octet-stream', 'blob'],
+	    ['application/pdf', 'blob'],
+	    ['application/zip', 'blob'],
+	    ['application/gzip', 'blob'],
+	    ['application/wasm', 'blob']
+	];
+    }
+
+    /**
+     * @param {object|Array<[string|RegExp|function, string|function]>} [rules] - Rules to register up front,
+     *   as `{ 'content/type': parser }` or `[[match, parser], ...]`.
+     * @param {ResponseParsers|null} [parent=null] - Registry consulted (live) after these rules and for
+     *   named parsers defined there (see `HTTP.extend()`); the built-ins come last.
+     */
+    constructor(rules = undefined, parent = null) {
+	this.parent = parent;
+	this.rules = [];
+	this.named = parent ? {} : { // built-in named parsers live on the root registry
+	    json: async (res) => {
+		const text = await res.text();
+		return text ? JSON.parse(text) : null;
+	    },
+	    text: (res) => res.text(),
+	    arrayBuffer: (res) => res.arrayBuffer(),
+	    blob: (res) => res.blob(),
+	    formData: (res) => res.formData(),
+	    xml: async (res, { mime }) => {
+		const text = await res.text();
+		if (typeof DOMParser === 'undefined') return text;
+		const type = DOM_TYPES.includes(mime) ? mime : 'application/xml';
+		return new DOMParser().parseFromString(text, type);
+	    },
+	    csv: async (res) => parseCSV(await res.text())
+	};
+
+	const list = Array.isArray(rules) ? rules : Object.entries(rules || {});
+	for (const [match, parser] of list.slice().reverse())
+	    this.register(match, parser);
+    }
+
+    /**
+     * Adds a rule, checked before every rule registered earlier and before the built-ins.
+     *
+     * @param {string|RegExp|function} match - A content type (`'text/csv'`), a wildcard (`'image/*'`, `'*\/*+json'`),
+     *   a RegExp tested against the content type without parameters, or `(mime, contentType) => boolean`.
+     * @param {string|function} parser - A named parser, or `(res, { contentType, mime, opts }) => value`.
+     * @returns {ResponseParsers} this
+     */
+    register(match, parser) {
+	if (typeof parser === 'string' && !this.namedParser(parser))
+	    throw new Error(`ResponseParsers: unknown parser "${parser}". Must be one of: ${this.names().join(', ')}`);
+	if (typeof parser !== 'string' && typeof parser !== 'function')
+	    throw new Error('ResponseParsers: parser must be a parser name or a function');
+	this.rules.unshift({ match, parser });
+	return this;
+    }
+
+    /**
+     * Removes the rules registered for `match` (same string, RegExp or function).
+     * @returns {boolean} True if a rule was removed.
+     */
+    unregister(match) {
+	const before = this.rules.length;
+	this.rules = this.rules.filter(rule => String(rule.match) !== String(match));
+	return this.rules.length !== before;
+    }
+
+    /**
+     * Adds (or replaces) a named parser, usable in rules and as `responseType`.
+     *
+     * @param {string} name
+     * @param {function} fn - `(res, { contentType, mime, opts }) => value`
+     * @returns {ResponseParsers} this
+     */
+    define(name, fn) {
+	if (typeof fn !== 'function')
+	    throw new Error(`ResponseParsers: parser "${name}" must be a function`);
+	this.named[name] = fn;
+	return this;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {function|null} The named parser, looked up here, then in the parent.
+     */
+    namedParser(name) {
+	return this.named[name] ?? this.parent?.namedParser(name) ?? null;
+    }
+
+    /**
+     * @returns {string[]} Every named parser available (own and the parent's).
+     */
+    names() {
+	return [...new Set([...Object.keys(this.named), ...(this.parent?.names() ?? [])])];
+    }
+
+    /**
+     * The parser for a content type: the first matching registered rule (own, then the parent's), then built-in, else `'text'`.
+     *
+     * @param {string} contentType - `Content-Type` header value (parameters are ignored).
+     * @returns {string|function} A parser name or function.
+     */
+    resolve(contentType) {
+	const mime = essence(contentType);
+	for (const { match, parser } of this.rules)
+	    if (matches(match, mime, contentType)) return parser;
+	if (this.parent) return this.parent.resolve(contentType);
+	for (const [match, parser] of this.constructor.BUILTIN_RULES)
+	    if (matches(match, mime, contentType)) return parser;
+	return 'text';
+    }
+
+    /**
+     * Reads a response body.
+     *
+     * @param {Response} res
+     * @param {object} [opts={}]
+     * @param {string|function} [opts.responseType] - Parser to use regardless of the content type (`'auto'` = by content type).
+     * @param {boolean} [opts.json=true] - If false, JSON content types are read as text.
+     * @returns {Promise<*>}
+     */
+    async parse(res, opts = {}) {
+	const contentType = res.headers.get('content-type') || '';
+	const mime = essence(contentType);
+	const forced = opts.responseType && opts.responseType !== 'auto' ? opts.responseType : null;
+
+	let parser = forced ?? this.resolve(contentType);
+	if (!forced && parser === 'json' && opts.json === false) parser = 'text';
+
+	const fn = typeof parser === 'function' ? parser : this.namedParser(parser);
+	if (!fn)
+	    throw new Error(`ResponseParsers: unknown responseType "${parser}". Must be one of: auto, ${this.names().join(', ')}`);
+	return fn(res, { contentType, mime, opts });
+    }
+}
+
+// types DOMParser.parseFromString() accepts besides text/html
+const DOM_TYPES = ['application/xml', 'text/xml', 'application/xhtml+xml', 'image/svg+xml'];
+
+function essence(contentType) {
+    return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function matches(match, mime, contentType) {
+    if (typeof match === 'function') return !!match(mime, contentType);
+    if (match instanceof RegExp) return match.test(mime);
+
+    const pattern = essence(match);
+    if (pattern === '*' || pattern === '*/*') return !!mime;
+    const [type, subtype = ''] = pattern.split('/');
+    const [mType, mSubtype = ''] = mime.split('/');
+    if (type !== '*' && type !== mType) return false;
+    if (subtype === '*') return true;
+    if (subtype.startsWith('*+')) return mSubtype.endsWith(subtype.slice(1));
+    return subtype === mSubtype;
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, `""` escapes, CRLF or LF line ends).
+ * A trailing newline does not produce an empty row.
+ *
+ * @param {string} text
+ * @param {object} [opts={}]
+ * @param {string} [opts.delimiter=','] - Field separator.
+ * @returns {string[][]} Rows of fields.
+ *
+ * @example
+ * parseCSV('id,name\n1,"Smith, J."\n'); // → [['id', 'name'], ['1', 'Smith, J.']]
+ */
+export function parseCSV(text, { delimiter = ',' } = {}) {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+	const ch = text[i];
+	if (quoted) {
+	    if (ch === '"' && text[i + 1] === '"') {
+		field += '"';
+		i++;
+	    } else if (ch === '"') {
+		quoted = false;
+	    } else {
+		field += ch;
+	    }
+	} else if (ch === '"') {
+	    quoted = true;
+	} else if (ch === delimiter) {
+	    row.push(field);
+	    field = '';
+	} else if (ch === '\n' || ch === '\r') {
+	    if (ch === '\r' && text[i + 1] === '\n') i++;
+	    row.push(field);
+	    rows.push(row);
+	    row = [];
+	    field = '';
+	} else {
+	    field += ch;
+	}
+    }
+    if (field !== '' || row.length) {
+	row.push(field);
+	rows.push(row);
+    }
+    return rows;
+}
+
+export default ResponseParsers;
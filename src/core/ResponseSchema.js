@@ -0,0 +1,118 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import { validateJsonSchema } from '../utils/jsonSchema.js';
+
+/**
+ * ResponseSchema
+ * --------------
+ * Expected response bodies of one request, checked by `HTTP` once the body is parsed
+ * (per request with `opts.schema`; `SpecManager.call()` builds one from the operation's `responses`).
+ *
+ * Schemas are keyed by status and media type, the way OpenAPI declares them:
+ * - status     → exact (`'200'`), then a range (`'2XX'`), then `'default'`
+ * - media type → exact (`'application/json'`), then `'application/*'`, then `'*\/*'`;
+ *                with no `content-type` header, a lone media type still applies
+ *
+ * A schema is either a JSON Schema (see `utils/jsonSchema.js`) or a validator function
+ * `(body, info) => result`, possibly async, where `result` is:
+ * - `true` / `undefined` / `[]`           → valid
+ * - `false`                               → invalid
+ * - a string                              → invalid, with that message
+ * - an array of strings or `{ path, keyword, message }` → invalid, with those errors
+ *
+ * Usage:
+ * ```js
+ * await http.get('users/7', { schema: { type: 'object', required: ['id'] } });  // any 2xx response
+ *
+ * await http.get('users/7', {
+ *     schema: new ResponseSchema({
+ *         200: { 'application/json': { $ref: '#/components/schemas/User' } },
+ *         404: { '*\/*': (body) => typeof body?.error === 'string' || 'missing error message' }
+ *     }, { root: openApiDoc })
+ * });
+ * ```
+ *
+ * @class ResponseSchema
+ */
+export class ResponseSchema {
+    /**
+     * @param {object} [responses={}] - `{ [status | '2XX' | 'default']: { [mediaType]: schema | function } }`
+     * @param {object} [opts={}]
+     * @param {object|null} [opts.root=null] - Document `$ref`s resolve against (e.g. the OpenAPI spec); defaults to each schema.
+     * @param {number} [opts.maxErrors=100] - Stop collecting after this many errors.
+     */
+    constructor(responses = {}, { root = null, maxErrors = 100 } = {}) {
+	this.responses = {};
+	for (const [status, content] of Object.entries(responses ?? {}))
+	    this.responses[String(status).toUpperCase()] = content ?? {};
+	this.root = root;
+	this.maxErrors = maxErrors;
+    }
+
+    /**
+     * Normalizes the `schema` request option.
+     * A bare JSON Schema or function applies to every 2xx response, whatever its media type.
+     * @param {object|function|ResponseSchema|null} opt
+     * @returns {ResponseSchema|null}
+     */
+    static from(opt) {
+	if (!opt) return null;
+	if (opt instanceof ResponseSchema) return opt;
+	return new ResponseSchema({ '2XX': { '*/*': opt } });
+    }
+
+    /**
+     * The schema that applies to a response, if any.
+     * @param {number} status
+     * @param {string|null} [contentType=null] - The response `content-type` header.
+     * @returns {object|function|null}
+     */
+    select(status, contentType = null) {
+	const code = String(status);
+	const content = this.responses[code]
+	      ?? this.responses[`${code[0]}XX`]
+	      ?? this.responses.DEFAULT;
+	if (!content) return null;
+
+	const types = Object.keys(content);
+	const mime = contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+	if (!mime) return types.length === 1 ? content[types[0]] : content['*/*'] ?? null;
+	const key = types.find(t => t.toLowerCase() === mime)
+	      ?? types.find(t => t.toLowerCase() === `${mime.split('/')[0]}/*`)
+	      ?? types.find(t => t === '*/*');
+	return key === undefined ? null : content[key];
+    }
+
+    /**
+     * Validates a parsed body against the schema selected for its response.
+     * @param {*} body
+     * @param {object} info - `{ status, contentType, url, method, headers }`
+     * @returns {Promise<object|null>} `{ valid, errors }`, or null when no schema applies.
+     */
+    async validate(body, info) {
+	const schema = this.select(info.status, info.contentType);
+	if (schema === null || schema === undefined) return null;
+
+	const errors = typeof schema === 'function'
+	      ? toErrors(await schema(body, info))
+	      : validateJsonSchema(body, schema, { root: this.root ?? schema, maxErrors: this.maxErrors });
+	return { valid: errors.length === 0, errors };
+    }
+}
+
+// validator function result → `{ path, keyword, message }[]`
+function toErrors(result) {
+    if (result === true || result === undefined || result === null) return [];
+    if (result === false) return [{ path: '', keyword: 'validator', message: 'rejected by validator' }];
+    if (typeof result === 'string') return [{ path: '', keyword: 'validator', message: result }];
+    if (Array.isArray(result)) {
+	return result.map(err => (typeof err === 'string'
+	    ? { path: '', keyword: 'validator', message: err }
+	    : { path: err.path ?? '', keyword: err.keyword ?? 'validator', message: err.message ?? String(err) }));
+    }
+    return [];
+}
+
+export default ResponseSchema;
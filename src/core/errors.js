@@ -0,0 +1,169 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * HTTP error classes
+ * ------------------
+ * Typed rejections raised by `HTTP`, so callers (and `SpecManager`, `BatchLoader`)
+ * can branch with `instanceof` instead of matching message strings.
+ *
+ * - `HTTPError`        → non-2xx response, only when `throwOnError` is enabled.
+ *                        Also the base class of every error below.
+ * - `TimeoutError`     → the request's `timeout` elapsed.
+ * - `AbortError`       → the request was aborted by something other than its timeout.
+ * - `NetworkError`     → `fetch()` rejected (DNS, refused connection, CORS, ...).
+ * - `CircuitOpenError` → failed fast, without a fetch: the target's circuit breaker is open.
+ * - `SchemaValidationError` → the response body doesn't match its schema (`schema` / `validate` options).
+ *
+ * `OptionError` (invalid or unknown option, thrown in `strict` mode) is a plain `Error`:
+ * it is raised before any request exists.
+ *
+ * Transport errors (`TimeoutError`, `AbortError`, `NetworkError`) have `status: null`
+ * and keep the original rejection on `cause`. `CircuitOpenError` has `status: null` too.
+ *
+ * Usage:
+ * ```js
+ * try {
+ *     await http.get('/api/me', { throwOnError: true, timeout: 3000 });
+ * } catch (err) {
+ *     if (err instanceof TimeoutError) return retryLater();
+ *     if (err instanceof HTTPError && err.status === 401) return login();
+ *     throw err;
+ * }
+ * ```
+ */
+
+export class HTTPError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [info={}]
+     * @param {number|null} [info.status=null]      - HTTP status, or null for transport errors.
+     * @param {string} [info.statusText='']
+     * @param {string|null} [info.url=null]         - Request URL.
+     * @param {string|null} [info.method=null]      - Upper-cased request method.
+     * @param {object} [info.headers={}]            - Response headers as a plain object.
+     * @param {*} [info.body=null]                  - Parsed response body.
+     * @param {number|null} [info.elapsedMs=null]   - Time until the response (or failure).
+     * @param {object|null} [info.sendOpts=null]    - The options passed to `fetch()`.
+     * @param {Error} [info.cause]                  - Underlying error, if any.
+     */
+    constructor(message, {
+	status = null,
+	statusText = '',
+	url = null,
+	method = null,
+	headers = {},
+	body = null,
+	elapsedMs = null,
+	sendOpts = null,
+	cause = undefined
+    } = {}) {
+	super(message);
+	this.name = this.constructor.name;
+	this.status = status;
+	this.statusText = statusText;
+	this.url = url;
+	this.method = method;
+	this.headers = headers;
+	this.body = body;
+	this.elapsedMs = elapsedMs;
+	this.sendOpts = sendOpts;
+	if (cause !== undefined) this.cause = cause;
+    }
+
+    /**
+     * Builds an HTTPError from a `format: 'full'` response object.
+     *
+     * @param {object} full - Output of `HTTP.parseResponse(res, { format: 'full' })`.
+     * @param {object} [extra={}] - `{ method, url, sendOpts }` when not already on `full`.
+     * @returns {HTTPError}
+     */
+    static fromResponse(full, extra = {}) {
+	const method = extra.method ?? null;
+	const url = full.url || extra.url || null;
+	const label = [method, url].filter(Boolean).join(' ');
+	return new this(`HTTP ${full.status} ${full.statusText || ''}`.trim() + (label ? `: ${label}` : ''), {
+	    status: full.status,
+	    statusText: full.statusText,
+	    url,
+	    method,
+	    headers: full.headers,
+	    body: full.body,
+	    elapsedMs: full.elapsedMs,
+	    sendOpts: extra.sendOpts ?? full.sendOpts ?? null
+	});
+    }
+}
+
+export class TimeoutError extends HTTPError {}
+
+export class AbortError extends HTTPError {}
+
+export class NetworkError extends HTTPError {}
+
+/**
+ * Thrown without a fetch while a circuit is open (see `CircuitBreaker.js`).
+ * Carries the circuit `key`, its `state`, and `retryAt` (epoch ms of the next probe, or null when half-open).
+ */
+export class CircuitOpenError extends HTTPError {
+    constructor(message, { key = null, state = null, retryAt = null, ...info } = {}) {
+	super(message, info);
+	this.key = key;
+	this.state = state;
+	this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Thrown when a response body fails its schema (see `ResponseSchema.js`), in `validate: 'throw'` mode.
+ * Carries the response like `HTTPError`, plus `errors`: `{ path, keyword, message }` per problem.
+ */
+export class SchemaValidationError extends HTTPError {
+    constructor(message, { errors = [], ...info } = {}) {
+	super(message, info);
+	this.errors = errors;
+    }
+}
+
+/**
+ * Thrown in `strict` mode for an invalid option value or an unknown option key (see `validation.js`).
+ * `code` is `'E_HTTP_INVALID_FETCH_OPTION'` or `'E_HTTP_UNKNOWN_OPTION'`; `suggestion` is the closest valid
+ * value or key (or null), and `problems` lists every problem found in the same options object.
+ */
+export class OptionError extends Error {
+    constructor(message, { code = 'E_HTTP_INVALID_FETCH_OPTION', option = null, value = undefined, suggestion = null } = {}) {
+	super(message);
+	this.name = 'OptionError';
+	this.code = code;
+	this.option = option;
+	this.value = value;
+	this.suggestion = suggestion;
+	this.problems = [this];
+    }
+}
+
+/**
+ * Wraps a `fetch()` rejection in the matching error class.
+ * Errors that are already `HTTPError`s are returned untouched.
+ *
+ * @param {Error} err - The original rejection.
+ * @param {object} info - `{ url, method, elapsedMs, sendOpts, timedOut, aborted }`
+ *   `timedOut` / `aborted` tell which signal fired, since the rejection itself may be a custom abort reason.
+ * @returns {HTTPError}
+ */
+export function classifyFetchError(err, { url = null, method = null, elapsedMs = null, sendOpts = null, timedOut = false, aborted = false } = {}) {
+    if (err instanceof HTTPError) return err;
+
+    const label = [method, url].filter(Boolean).join(' ');
+    const info = { url, method, elapsedMs, sendOpts, cause: err };
+
+    if (timedOut)
+	return new TimeoutError(`Request timed out: ${label}`, info);
+    if (aborted || err?.name === 'AbortError')
+	return new AbortError(`Request aborted: ${label}`, info);
+    return new NetworkError(`Network error: ${label} (${err?.message ?? err})`, info);
+}
+
+export default HTTPError;
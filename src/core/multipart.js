@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import { queryPairs } from '../utils/query.js';
+
+/**
+ * multipart
+ * ---------
+ * Builds `multipart/form-data` bodies from plain objects, behind the `multipart` option of
+ * `http.post()` / `put()` / `patch()`:
+ *
+ * ```js
+ * await http.post('/uploads', {
+ *     title: 'Report',
+ *     tags: ['q3', 'finance'],                      // tags=q3,finance (per `queryStyle`; 'repeat' → two fields)
+ *     meta: { author: 'ana', pages: 12 },           // meta[author]=ana, meta[pages]=12
+ *     file: fileInput.files[0],                     // File: keeps its name
+ *     thumb: filePart(pngBytes, 'thumb.png', 'image/png'),
+ *     options: jsonPart({ ocr: true })              // one application/json part
+ * }, { multipart: true });
+ * ```
+ *
+ * - Field names for arrays and nested objects follow `queryStyle` (see `utils/query.js`).
+ * - `undefined` / `null` are skipped; Dates become ISO strings; other scalars are stringified.
+ * - Blobs / Files are sent as file parts. Node `Buffer`s, typed arrays and `ArrayBuffer`s become file parts too.
+ * - Node readable streams (e.g. `fs.createReadStream()`) and web `ReadableStream`s are read into memory first
+ *   (`FormData` cannot stream); a file stream's name comes from its `path`.
+ * - `{ multipart: { json: ['options'] } }` sends those top-level fields as JSON parts, like `jsonPart()`.
+ *
+ * The `Content-Type` header (with its boundary) is left to `fetch()`.
+ */
+
+const PART = Symbol('multipart.part');
+
+/**
+ * Marks a value as a file part with an explicit filename / content type.
+ *
+ * @param {Blob|ArrayBuffer|ArrayBufferView|ReadableStream|object} data - Blob, bytes, or a Node / web stream.
+ * @param {string} [filename] - Defaults to the File's name, the stream's path, or `'blob'`.
+ * @param {string} [type] - Content type of the part (defaults to the Blob's type).
+ * @returns {object} A part descriptor for `toFormData()`.
+ */
+export function filePart(data, filename = undefined, type = undefined) {
+    return { [PART]: true, data, filename, type };
+}
+
+/**
+ * Marks a value to be sent as a single `application/json` part.
+ *
+ * @param {*} value - Anything `JSON.stringify` accepts.
+ * @param {string} [filename] - Optional filename for the part (some servers only read named parts as files).
+ * @returns {object} A part descriptor for `toFormData()`.
+ */
+export function jsonPart(value, filename = undefined) {
+    return filePart(new Blob([JSON.stringify(value)], { type: 'application/json' }), filename);
+}
+
+/**
+ * Converts a plain object into `FormData`.
+ *
+ * @param {object} data - Fields (see module notes).
+ * @param {object} [opts={}]
+ * @param {string} [opts.style='comma'] - `queryStyle` used for array / nested field names; same default as `HTTP`,
+ *   whose instance `queryStyle` is passed for `multipart` bodies.
+ * @param {string[]} [opts.json=[]] - Top-level fields sent as JSON parts.
+ * @returns {Promise<FormData>}
+ */
+export async function toFormData(data, { style = 'comma', json = [] } = {}) {
+    const fields = { ...data };
+    for (const name of json)
+	if (fields[name] !== undefined) fields[name] = jsonPart(fields[name]);
+
+    const form = new FormData();
+    for (const [key, value] of queryPairs(fields, style, isPart)) {
+	if (!isPart(value)) {
+	    form.append(key, value);
+	    continue;
+	}
+	const part = value?.[PART] ? value : { data: value };
+	const blob = await toBlob(part.data, part.type);
+	const filename = part.filename ?? part.data?.name ?? basename(part.data?.path) ?? 'blob';
+	form.append(key, blob, filename);
+    }
+    return form;
+}
+
+/**
+ * True for values sent as file parts: Blobs, bytes, streams and `filePart()` / `jsonPart()` descriptors.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isPart(value) {
+    if (!value || typeof value !== 'object') return false;
+    return !!value[PART]
+	|| (typeof Blob !== 'undefined' && value instanceof Blob)
+	|| value instanceof ArrayBuffer
+	|| ArrayBuffer.isView(value)
+	|| isStream(value);
+}
+
+function isStream(value) {
+    return (typeof ReadableStream !== 'undefined' && value instanceof ReadableStream)
+	|| (typeof value.pipe === 'function' && typeof value.on === 'function' && typeof value[Symbol.asyncIterator] === 'function');
+}
+
+async function toBlob(data, type) {
+    if (typeof Blob !== 'undefined' && data instanceof Blob)
+	return type && type !== data.type ? new Blob([data], { type }) : data;
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data))
+	return new Blob([data], type ? { type } : {});
+    if (data && isStream(data)) {
+	const chunks = [];
+	for await (const chunk of iterate(data))
+	    chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+	return new Blob(chunks, type ? { type } : {});
+    }
+    throw new TypeError(`multipart: unsupported file part (${Object.prototype.toString.call(data)})`);
+}
+
+// web ReadableStreams aren't async-iterable in every browser
+async function* iterate(stream) {
+    if (typeof stream[Symbol.asyncIterator] === 'function') {
+	yield* stream;
+	return;
+    }
+    const reader = stream.getReader();
+    try {
+	for (;;) {
+	    const { value, done } = await reader.read();
+	    if (done) return;
+	    yield value;
+	}
+    } finally {
+	reader.releaseLock();
+    }
+}
+
+function basename(path) {
+    if (typeof path !== 'string' || !path) return undefined;
+    return path.split(/[\\/]/).pop() || undefined;
+}
+
+export default toFormData;
@@ -0,0 +1,191 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * progress
+ * --------
+ * Byte counting behind the `onUploadProgress` / `onDownloadProgress` options of `HTTP`.
+ *
+ * Both callbacks receive the same event shape:
+ * ```js
+ * {
+ *     loaded,   // bytes transferred so far
+ *     total,    // expected bytes, or null when unknown (no Content-Length, compressed response, FormData)
+ *     percent,  // 0..100, or null when `total` is unknown
+ *     rate,     // average bytes per second since the transfer started
+ *     done      // true on the final event (`total` is then always set)
+ * }
+ * ```
+ */
+
+/**
+ * Creates a progress accumulator that reports to `onProgress`.
+ *
+ * @param {function} onProgress - `(event) => void`
+ * @param {number|null} [total=null] - Expected byte count, if known.
+ * @returns {{ add: function(number), done: function(number=) }} `done(bytes)` counts its last `bytes` without a separate event.
+ */
+export function progressTracker(onProgress, total = null) {
+    const start = performance.now();
+    let loaded = 0;
+    let finished = false;
+
+    const emit = (done) => {
+	const seconds = (performance.now() - start) / 1000;
+	onProgress({
+	    loaded,
+	    total,
+	    percent: total ? Math.min(100, (loaded / total) * 100) : (done ? 100 : null),
+	    rate: seconds > 0 ? Math.round(loaded / seconds) : 0,
+	    done
+	});
+    };
+
+    return {
+	add(bytes) {
+	    if (finished) return;
+	    loaded += bytes;
+	    emit(false);
+	},
+	done(bytes = 0) {
+	    if (finished) return;
+	    finished = true;
+	    loaded += bytes;
+	    total = loaded;
+	    emit(true);
+	}
+    };
+}
+
+/**
+ * Pipes a byte stream through a counter. Cancelling the result cancels `source`.
+ *
+ * @param {ReadableStream} source
+ * @param {object} tracker - From `progressTracker()`.
+ * @returns {ReadableStream}
+ */
+export function countingStream(source, tracker) {
+    return source.pipeThrough(new TransformStream({
+	transform(chunk, controller) {
+	    tracker.add(chunk.byteLength ?? chunk.length ?? 0);
+	    controller.enqueue(chunk);
+	},
+	flush() {
+	    tracker.done();
+	}
+    }));
+}
+
+/**
+ * Returns a copy of `res` whose body reports download progress as it is read.
+ * `url`, `redirected` and `type` are carried over from the original response.
+ *
+ * @param {Response} res
+ * @param {function} onProgress
+ * @returns {Response} `res` itself when there is no body to count.
+ */
+export function trackDownload(res, onProgress) {
+    if (!res.body || res.status < 200 || [204, 205, 304].includes(res.status)) return res;
+
+    const tracker = progressTracker(onProgress, responseLength(res));
+    const wrapped = new Response(countingStream(res.body, tracker), {
+	status: res.status,
+	statusText: res.statusText,
+	headers: res.headers
+    });
+    for (const key of ['url', 'redirected', 'type'])
+	Object.defineProperty(wrapped, key, { value: res[key] });
+    return wrapped;
+}
+
+/**
+ * Prepares fetch options whose body reports upload progress.
+ *
+ * By default the body is sent unchanged (keeping its `Content-Length`): a first event is reported
+ * at once (`loaded: 0`), and a final one by `finish()` once the response arrives.
+ *
+ * With `stream: true`, the body is turned into a counting `ReadableStream` (sent with `duplex: 'half'`)
+ * for byte-level progress, where the runtime supports it. Such bodies are sent chunked, without
+ * `Content-Length`: Chromium only allows them over HTTP/2, and some servers (e.g. S3 presigned PUTs) refuse them.
+ *
+ * Call once per attempt: a stream body can only be sent once.
+ *
+ * @param {object} init - Fetch options containing `body`.
+ * @param {function} onProgress
+ * @param {object} [opts={}]
+ * @param {boolean} [opts.stream=false] - Stream the body for byte-level progress.
+ * @returns {{ init: object, finish: function }} `finish()` must be called when fetch resolves.
+ */
+export function trackUpload(init, onProgress, { stream = false } = {}) {
+    const total = bodyLength(init.body);
+    const tracker = progressTracker(onProgress, total);
+    const finish = () => tracker.done(total ?? 0);
+
+    if (!stream || !supportsRequestStreams()) {
+	tracker.add(0);
+	return { init, finish };
+    }
+
+    // Response normalizes every BodyInit (string, Blob, FormData, buffers...) to a byte stream
+    const source = new Response(init.body);
+    const headers = new Headers(init.headers);
+    const contentType = source.headers.get('content-type');
+    if (contentType && !headers.has('content-type'))
+	headers.set('content-type', contentType); // e.g. the multipart boundary for FormData
+
+    return {
+	init: { ...init, headers, body: countingStream(source.body, tracker), duplex: 'half' },
+	finish: () => tracker.done()
+    };
+}
+
+/**
+ * Expected size of a response body, from `Content-Length`.
+ * @param {Response} res
+ * @returns {number|null} Null when absent, or when the body is compressed (the length is then the encoded size).
+ */
+export function responseLength(res) {
+    const encoding = res.headers.get('content-encoding');
+    if (encoding && encoding !== 'identity') return null;
+    const length = parseInt(res.headers.get('content-length'), 10);
+    return Number.isFinite(length) && length >= 0 ? length : null;
+}
+
+/**
+ * Size in bytes of a request body, when it can be known without reading it.
+ * @param {*} body
+ * @returns {number|null}
+ */
+export function bodyLength(body) {
+    if (typeof body === 'string') return new TextEncoder().encode(body).byteLength;
+    if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+    if (body instanceof URLSearchParams) return new TextEncoder().encode(body.toString()).byteLength;
+    return null;
+}
+
+let streamUploads = null;
+
+// Feature test for streaming request bodies (fetch with `duplex: 'half'`).
+function supportsRequestStreams() {
+    if (streamUploads !== null) return streamUploads;
+    try {
+	let duplexAccessed = false;
+	const request = new Request('http://localhost/', {
+	    method: 'POST',
+	    body: new ReadableStream(),
+	    get duplex() {
+		duplexAccessed = true;
+		return 'half';
+	    }
+	});
+	streamUploads = duplexAccessed && !request.headers.has('content-type');
+    } catch (err) {
+	streamUploads = false;
+    }
+    return streamUploads;
+}
+
+export default progressTracker;
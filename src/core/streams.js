@@ -0,0 +1,183 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * streams
+ * -------
+ * Helpers behind the streaming response formats of `HTTP`:
+ *
+ * - `'stream'` → the response `ReadableStream` (tracked, see `trackStream`)
+ * - `'bytes'`  → async iterator of `Uint8Array` chunks
+ * - `'lines'`  → async iterator of text lines (without line terminators)
+ * - `'ndjson'` → async iterator of parsed JSON records, one per non-blank line
+ *
+ * Usage:
+ * ```js
+ * for await (const event of await http.get('/export', { format: 'ndjson' })) {
+ *     render(event);
+ * }
+ * ```
+ */
+
+export const STREAM_FORMATS = ['stream', 'bytes', 'lines', 'ndjson'];
+
+/**
+ * Wraps a body stream so the owner learns when it is finished with.
+ *
+ * `onDone` runs exactly once: when the stream is fully read, errors, or is cancelled
+ * (including when an iterator over it is abandoned with `break`).
+ * Read errors are passed through `mapError` before reaching the consumer.
+ *
+ * @param {ReadableStream} source
+ * @param {object} [hooks={}]
+ * @param {function} [hooks.onDone] - Called once the stream settles.
+ * @param {function} [hooks.mapError] - `(err) => Error`, e.g. to classify abort/timeout errors.
+ * @returns {ReadableStream}
+ */
+export function trackStream(source, { onDone = () => {}, mapError = (err) => err } = {}) {
+    let settled = false;
+    const finish = () => {
+	if (settled) return;
+	settled = true;
+	onDone();
+    };
+    const reader = source.getReader();
+
+    return new ReadableStream({
+	async pull(controller) {
+	    try {
+		const { value, done } = await reader.read();
+		if (done) {
+		    finish();
+		    controller.close();
+		    return;
+		}
+		controller.enqueue(value);
+	    } catch (err) {
+		const mapped = mapError(err);
+		finish();
+		controller.error(mapped);
+	    }
+	},
+	async cancel(reason) {
+	    try {
+		await reader.cancel(reason);
+	    } finally {
+		finish();
+	    }
+	}
+    });
+}
+
+/**
+ * Async iterator over the raw chunks of a stream.
+ * Breaking out of the loop cancels the stream.
+ *
+ * @param {ReadableStream|null} stream
+ * @yields {Uint8Array}
+ */
+export async function* iterateBytes(stream) {
+    if (!stream) return;
+    const reader = stream.getReader();
+    let done = false;
+    try {
+	while (!done) {
+	    const chunk = await reader.read();
+	    done = chunk.done;
+	    if (!done) yield chunk.value;
+	}
+    } finally {
+	if (!done) await reader.cancel().catch(() => {});
+	reader.releaseLock();
+    }
+}
+
+/**
+ * Async iterator over the text lines of a stream (UTF-8).
+ * Accepts `\n` and `\r\n` terminators; a trailing line without terminator is still yielded.
+ *
+ * @param {ReadableStream|null} stream
+ * @yields {string}
+ */
+export async function* iterateLines(stream) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of iterateBytes(stream)) {
+	buffer += decoder.decode(chunk, { stream: true });
+	let idx;
+	while ((idx = buffer.indexOf('\n')) !== -1) {
+	    const line = buffer.slice(0, idx);
+	    buffer = buffer.slice(idx + 1);
+	    yield line.endsWith('\r') ? line.slice(0, -1) : line;
+	}
+    }
+
+    buffer += decoder.decode();
+    if (buffer) yield buffer.endsWith('\r') ? buffer.slice(0, -1) : buffer;
+}
+
+/**
+ * Async iterator over newline-delimited JSON records. Blank lines are skipped.
+ *
+ * @param {ReadableStream|null} stream
+ * @yields {*} Parsed record.
+ * @throws {SyntaxError} If a line is not valid JSON (message includes the line number).
+ */
+export async function* iterateNDJSON(stream) {
+    let lineNo = 0;
+    for await (const line of iterateLines(stream)) {
+	lineNo++;
+	if (!line.trim()) continue;
+	let record;
+	try {
+	    record = JSON.parse(line);
+	} catch (err) {
+	    throw new SyntaxError(`NDJSON parse error on line ${lineNo}: ${err.message}`);
+	}
+	yield record;
+    }
+}
+
+/**
+ * Produces the value returned for a streaming format.
+ *
+ * @param {ReadableStream|null} stream - The (tracked) response body.
+ * @param {string} format - One of `STREAM_FORMATS`.
+ * @returns {ReadableStream|AsyncIterableIterator|null} Iterators cancel the stream on `return()`, even before the first read.
+ */
+export function streamAs(stream, format) {
+    switch (format) {
+    case 'stream': return stream;
+    case 'bytes':  return closable(iterateBytes(stream), stream);
+    case 'lines':  return closable(iterateLines(stream), stream);
+    case 'ndjson': return closable(iterateNDJSON(stream), stream);
+    default:
+	throw new Error(`streams: unknown streaming format "${format}". Must be one of: ${STREAM_FORMATS.join(', ')}`);
+    }
+}
+
+// A generator's return() skips its `finally` if it was never started; cancel the stream directly then.
+function closable(gen, stream) {
+    let started = false;
+    return {
+	next(...args) {
+	    started = true;
+	    return gen.next(...args);
+	},
+	async return(value) {
+	    if (!started) await stream?.cancel().catch(() => {});
+	    return gen.return(value);
+	},
+	throw(err) {
+	    return gen.throw(err);
+	},
+	[Symbol.asyncIterator]() {
+	    return this;
+	}
+    };
+}
+
+export default streamAs;
@@ -0,0 +1,203 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import FETCH_CONSTANTS from './fetch_enum.js';
+import { OptionError } from './errors.js';
+import { STREAM_FORMATS } from './streams.js';
+import { QUERY_STYLES } from '../utils/query.js';
+
+/**
+ * validation
+ * ----------
+ * Option checks behind `HTTP`'s `strict` mode.
+ *
+ * Without `strict`, invalid fetch option values are silently dropped by `buildDefaultFetchOpts()`
+ * and unknown keys are ignored. With it, every option passed to the constructor, to `setDefaults()`,
+ * to `extend()` and to each request is checked:
+ *
+ * - fetch options against `fetch_enum.js` (`credentials`, `mode`, `cache`, ...), plus
+ *   `referrer` (`''`, `'about:client'` or a URL) and `integrity` (SRI syntax: `sha256|sha384|sha512-<base64>`)
+ * - m7Fetch options: `format`, `stream`, `lockBehavior`, `queryStyle`, `responseType`, `timeout`,
+ *   `limit`, `maxQueue`, `queueTimeout`, `validate`, `schema`
+ * - unknown option keys
+ *
+ * `strict: true` (or `'throw'`) throws an `OptionError` for the first problem; `strict: 'warn'` logs every
+ * problem with `console.warn` and carries on. Messages suggest the closest valid value or key:
+ * ```
+ * HTTP.get: invalid value "includes" for option "credentials" (expected one of: omit, same-origin, include). Did you mean "include"?
+ * ```
+ */
+
+export const FORMATS = ['body', 'full', 'raw', ...STREAM_FORMATS];
+export const LOCK_BEHAVIORS = ['throw', 'warn', 'notify', 'share', 'queue', 'latest'];
+export const VALIDATE_MODES = ['throw', 'warn', 'annotate'];
+
+// fetch() options without an entry in fetch_enum.js
+const FETCH_KEYS = ['method', 'headers', 'body', 'signal', 'referrer', 'integrity', 'window'];
+
+/**
+ * Option keys understood by `HTTP` (constructor, `setDefaults()` / `extend()`, and requests).
+ */
+export const KNOWN_OPTIONS = new Set([
+    ...Object.keys(FETCH_CONSTANTS),
+    ...FETCH_KEYS,
+    // base URL and instance setup
+    'url', 'protocol', 'host', 'port', 'interceptors', 'parsers', 'transport', 'metrics', 'fetchDefaults', 'strict',
+    // request building and response shaping
+    'absolute', 'params', 'data', 'json', 'urlencoded', 'multipart', 'queryStyle', 'format', 'stream',
+    'responseType', 'sendOpts', 'handler', 'throwOnError', 'timeout', 'retry',
+    // locking
+    'id', 'lockBehavior', 'limit', 'maxQueue', 'queueTimeout', 'dedupe',
+    // policies (instances, or `false` per request)
+    'responseCache', 'rateLimit', 'circuitBreaker', 'circuitKey', 'origins', 'hedge', 'auth', 'cookieJar',
+    'onUploadProgress', 'onDownloadProgress', 'streamUpload',
+    // response validation
+    'schema', 'validate'
+]);
+
+const SRI = /^(sha(256|384|512)-[A-Za-z0-9+/]+={0,2}(\?[\x21-\x7e]*)?)(\s+sha(256|384|512)-[A-Za-z0-9+/]+={0,2}(\?[\x21-\x7e]*)?)*$/;
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+// option → (value, context) => null when valid, else `{ expected, candidates? }`
+const RULES = {
+    format: (value) => (FORMATS.includes(value) ? null : { expected: FORMATS, candidates: FORMATS }),
+    stream: (value) => (STREAM_FORMATS.includes(value) ? null : { expected: STREAM_FORMATS, candidates: STREAM_FORMATS }),
+    lockBehavior: (value) => (LOCK_BEHAVIORS.includes(value) ? null : { expected: LOCK_BEHAVIORS, candidates: LOCK_BEHAVIORS }),
+    queryStyle: (value) => (QUERY_STYLES.includes(value) ? null : { expected: QUERY_STYLES, candidates: QUERY_STYLES }),
+    responseType: (value, { responseTypes }) => {
+	const names = ['auto', ...responseTypes];
+	return typeof value === 'function' || names.includes(value) ? null : { expected: names, candidates: names };
+    },
+    timeout: (value) => (value === false || (isNumber(value) && value >= 0) ? null : { expected: 'a number of ms >= 0, or null' }),
+    limit: (value) => (Number.isInteger(value) && value > 0 ? null : { expected: 'an integer > 0' }),
+    maxQueue: (value) => (isNumber(value) && value >= 0 ? null : { expected: 'a number >= 0 (or Infinity)' }),
+    queueTimeout: (value) => (isNumber(value) && value >= 0 ? null : { expected: 'a number of ms >= 0, or null' }),
+    validate: (value) => (typeof value === 'boolean' || VALIDATE_MODES.includes(value)
+	? null
+	: { expected: `true / false, or one of: ${VALIDATE_MODES.join(', ')}`, candidates: VALIDATE_MODES }),
+    schema: (value) => (value === false || typeof value === 'function' || typeof value === 'object'
+	? null
+	: { expected: 'a JSON Schema object, a validator function, a ResponseSchema, or false' }),
+    hedge: (value) => (value === false || (isNumber(value) && value >= 0) ? null : { expected: 'a number of ms >= 0, or false' }),
+    signal: (value) => (typeof value === 'boolean' || isSignal(value) ? null : { expected: 'an AbortSignal, or true / false' }),
+    referrer: (value) => (isReferrer(value) ? null : { expected: "'', 'about:client', or a URL" }),
+    integrity: (value) => (value === '' || (typeof value === 'string' && SRI.test(value.trim()))
+	? null
+	: { expected: 'SRI metadata, e.g. "sha384-<base64 digest>"' })
+};
+for (const [key, allowed] of Object.entries(FETCH_CONSTANTS)) {
+    if (!RULES[key] && allowed.length)
+	RULES[key] = (value) => (allowed.includes(value) ? null : { expected: allowed, candidates: allowed.filter(v => typeof v === 'string') });
+}
+
+/**
+ * Checks an options object.
+ *
+ * @param {object} opts - Options as passed by the caller.
+ * @param {object} [config={}]
+ * @param {boolean|string} [config.strict=true] - `true` / `'throw'` → throw the first problem; `'warn'` → `console.warn` each.
+ * @param {string} [config.label='HTTP'] - Message prefix, e.g. `'HTTP.get'`.
+ * @param {string[]} [config.responseTypes=[]] - Named parsers accepted as `responseType` (besides `'auto'`).
+ * @returns {OptionError[]} The problems found (only reached when not throwing).
+ * @throws {OptionError} In throwing mode.
+ */
+export function validateOptions(opts, { strict = true, label = 'HTTP', responseTypes = [] } = {}) {
+    const problems = [];
+    const context = { responseTypes };
+
+    const check = (key, value, known, where = '') => {
+	if (!known.has(key)) {
+	    const suggestion = closest(key, [...known]);
+	    problems.push(new OptionError(`${label}: unknown option "${where}${key}".${hint(suggestion)}`, {
+		code: 'E_HTTP_UNKNOWN_OPTION', option: where + key, value, suggestion
+	    }));
+	    return;
+	}
+	if (value === undefined || value === null || !RULES[key]) return;
+	const failed = RULES[key](value, context);
+	if (!failed) return;
+
+	const expected = Array.isArray(failed.expected) ? `one of: ${failed.expected.join(', ')}` : failed.expected;
+	const suggestion = failed.candidates && typeof value === 'string' ? closest(value, failed.candidates) : null;
+	problems.push(new OptionError(`${label}: invalid value ${describe(value)} for option "${where}${key}" (expected ${expected}).${hint(suggestion)}`, {
+	    code: 'E_HTTP_INVALID_FETCH_OPTION', option: where + key, value, suggestion
+	}));
+    };
+
+    for (const [key, value] of Object.entries(opts ?? {})) {
+	if (key === 'fetchDefaults' && value && typeof value === 'object') {
+	    for (const [sub, subValue] of Object.entries(value))
+		check(sub, subValue, FETCH_OPTIONS, 'fetchDefaults.');
+	    continue;
+	}
+	check(key, value, KNOWN_OPTIONS);
+    }
+
+    if (!problems.length) return problems;
+    if (strict === 'warn') {
+	for (const problem of problems) console.warn(problem.message);
+	return problems;
+    }
+    problems[0].problems = problems;
+    throw problems[0];
+}
+
+const FETCH_OPTIONS = new Set([...Object.keys(FETCH_CONSTANTS), ...FETCH_KEYS]);
+
+/**
+ * The candidate closest to `input` (case-insensitive edit distance), if close enough to be a likely typo.
+ * @param {string} input
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+export function closest(input, candidates) {
+    const needle = String(input).toLowerCase();
+    let best = null, bestDistance = Infinity;
+    for (const candidate of candidates) {
+	const distance = editDistance(needle, String(candidate).toLowerCase());
+	if (distance < bestDistance) {
+	    best = candidate;
+	    bestDistance = distance;
+	}
+    }
+    return bestDistance <= Math.max(2, Math.floor(needle.length / 3)) ? best : null;
+}
+
+// Levenshtein distance
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+	const row = [i];
+	for (let j = 1; j <= b.length; j++)
+	    row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+	prev = row;
+    }
+    return prev[b.length];
+}
+
+function hint(suggestion) {
+    return suggestion === null ? '' : ` Did you mean "${suggestion}"?`;
+}
+
+function describe(value) {
+    return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+function isSignal(value) {
+    return typeof AbortSignal !== 'undefined' && value instanceof AbortSignal;
+}
+
+function isReferrer(value) {
+    if (typeof value !== 'string') return false;
+    if (value === '' || value === 'about:client' || value.startsWith('/')) return true;
+    try {
+	new URL(value);
+	return true;
+    } catch (err) {
+	return false;
+    }
+}
+
+export default validateOptions;
@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import EventStream from './EventStream.js';
+
+/**
+ * EventManager
+ * ------------
+ * Registry of named Server-Sent Event streams, exposed as `net.events`.
+ *
+ * Streams are opened through the shared `HTTP` instance (see `HTTP.sse()` / `EventStream`),
+ * so they use the same base URL, default headers and interceptors as every other request.
+ *
+ * Usage:
+ * ```js
+ * const feed = net.events.open('jobs', '/jobs/stream', { on: { progress: render } });
+ * net.events.close('jobs');
+ * ```
+ */
+class EventManager {
+    constructor(net) {
+	this.net = net;
+	this.streams = new Map(); // id → EventStream
+    }
+
+    /**
+     * Open (or reuse) a named stream.
+     *
+     * If `id` is already open and `opts.reopen` is not set, the existing stream is returned.
+     *
+     * @param {string} id - Unique stream name
+     * @param {string} path - Request path
+     * @param {object} [opts] - `EventStream` options, plus `reopen: true` to replace an open stream
+     * @returns {EventStream}
+     */
+    open(id, path, opts = {}) {
+	const { reopen = false, ...streamOpts } = opts;
+	const existing = this.streams.get(id);
+	if (existing && existing.readyState !== EventStream.CLOSED && !reopen)
+	    return existing;
+	existing?.close();
+
+	const stream = this.net.http.sse(path, streamOpts);
+	this.streams.set(id, stream);
+	return stream;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {EventStream|null}
+     */
+    get(id) {
+	return this.streams.get(id) ?? null;
+    }
+
+    /**
+     * Close and forget a named stream.
+     * @param {string} id
+     * @returns {boolean} True if a stream was registered under `id`.
+     */
+    close(id) {
+	const stream = this.streams.get(id);
+	if (!stream) return false;
+	stream.close();
+	this.streams.delete(id);
+	return true;
+    }
+
+    /**
+     * Close every registered stream.
+     */
+    closeAll() {
+	for (const id of [...this.streams.keys()])
+	    this.close(id);
+    }
+
+    /**
+     * @returns {string[]} list of registered stream IDs
+     */
+    list() {
+	return [...this.streams.keys()];
+    }
+}
+
+export default EventManager;
@@ -0,0 +1,299 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+import { HTTPError } from '../core/errors.js';
+import { sleep } from '../utils/retry.js';
+
+/**
+ * EventStream
+ * -----------
+ * Server-Sent Events client built on the `HTTP` request pipeline.
+ *
+ * Unlike the native `EventSource`, the connection is opened with `fetch()` through an `HTTP`
+ * instance, so it can:
+ * - use any method (e.g. POST with a JSON body),
+ * - send the instance's default/auth headers, and pass through its interceptors,
+ * - resolve URLs with `buildPath` / `buildGet` (`params`, `absolute`, ...).
+ *
+ * Parses the `event`, `data`, `id` and `retry` fields of `text/event-stream`, and reconnects
+ * automatically (sending `Last-Event-ID`) when the stream ends or the network fails.
+ * A non-2xx response, a wrong content type, or `204 No Content` closes the stream for good.
+ *
+ * Events are delivered both through callbacks and as an async iterator:
+ * ```js
+ * const events = http.sse('/feed', { method: 'POST', data: { topics: ['jobs'] } });
+ * events.on('job', (ev) => console.log(ev.data));
+ * events.onError = (err) => console.warn(err);
+ *
+ * for await (const ev of http.sse('/ticks')) {
+ *     if (ev.data === 'stop') break; // leaving the loop closes the stream
+ * }
+ * ```
+ *
+ * Event objects: `{ type, data, lastEventId, origin }` (`type` defaults to `'message'`).
+ *
+ * @class EventStream
+ */
+export class EventStream {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 2;
+
+    /**
+     * @param {HTTP} http - The HTTP instance used for the connection.
+     * @param {string} path - Request path, resolved like any other `HTTP` request.
+     * @param {object} [opts={}]
+     * @param {string} [opts.method='GET'] - Request method.
+     * @param {*} [opts.data] - Request body for POST/PUT/PATCH (encoded like `http.post`).
+     * @param {object} [opts.params] - Query parameters.
+     * @param {object} [opts.headers] - Extra headers for this stream.
+     * @param {string} [opts.lastEventId] - Initial `Last-Event-ID` to resume from.
+     * @param {number} [opts.reconnect=3000] - Reconnect delay in ms (the server's `retry:` field overrides it).
+     * @param {number} [opts.maxRetries=Infinity] - Reconnect attempts before giving up.
+     * @param {function} [opts.onOpen] - `(res) => void`, called on every (re)connection.
+     * @param {function} [opts.onMessage] - `(event) => void`, called for every event, whatever its type.
+     * @param {function} [opts.onError] - `(err) => void`, connection/parse errors, and errors thrown by the other callbacks / listeners.
+     * @param {function} [opts.onClose] - `() => void`, called once when the stream is closed for good.
+     * @param {object} [opts.on] - `{ [eventType]: fn }` listeners to register up front.
+     *   Any other option (e.g. `absolute`, `credentials`) is passed to `http.request()`.
+     */
+    constructor(http, path, opts = {}) {
+	const {
+	    lastEventId = '',
+	    reconnect = 3000,
+	    maxRetries = Infinity,
+	    onOpen = null,
+	    onMessage = null,
+	    onError = null,
+	    onClose = null,
+	    on = {},
+	    ...requestOpts
+	} = opts;
+
+	this.http = http;
+	this.path = path;
+	this.requestOpts = requestOpts;
+	this.lastEventId = lastEventId;
+	this.reconnect = reconnect;
+	this.maxRetries = maxRetries;
+	this.retries = 0;
+	this.readyState = EventStream.CONNECTING;
+	this.url = null;
+
+	this.onOpen = onOpen;
+	this.onMessage = onMessage;
+	this.onError = onError;
+	this.onClose = onClose;
+
+	this.listeners = new Map(); // type → Set<fn>
+	this.consumers = new Set(); // async iterator queues
+	this.controller = new AbortController(); // aborted by close()
+
+	for (const [type, fn] of Object.entries(on))
+	    this.on(type, fn);
+
+	this._run().catch(err => {
+	    this._report(err);
+	    this.close();
+	});
+    }
+
+    /**
+     * Register a listener for a server event type (`'message'` for events without `event:`).
+     * @returns {EventStream} this
+     */
+    on(type, fn) {
+	if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+	this.listeners.get(type).add(fn);
+	return this;
+    }
+
+    /**
+     * Remove a listener registered with `on()`.
+     * @returns {EventStream} this
+     */
+    off(type, fn) {
+	this.listeners.get(type)?.delete(fn);
+	return this;
+    }
+
+    /**
+     * Close the stream. No further reconnects are attempted.
+     */
+    close() {
+	if (this.readyState === EventStream.CLOSED) return;
+	this.readyState = EventStream.CLOSED;
+	this.controller.abort();
+	for (const consumer of this.consumers) consumer.wake();
+	this._invoke(this.onClose);
+    }
+
+    /**
+     * Async iterator over incoming events. Ends when the stream closes;
+     * leaving the loop early (`break`) closes the stream.
+     */
+    [Symbol.asyncIterator]() {
+	const consumer = { queue: [], wake: () => {} };
+	this.consumers.add(consumer);
+
+	const finish = () => {
+	    this.consumers.delete(consumer);
+	    return { value: undefined, done: true };
+	};
+
+	return {
+	    next: async () => {
+		while (!consumer.queue.length && this.readyState !== EventStream.CLOSED)
+		    await new Promise(resolve => { consumer.wake = resolve; });
+		if (consumer.queue.length)
+		    return { value: consumer.queue.shift(), done: false };
+		return finish();
+	    },
+	    return: async () => {
+		this.close();
+		return finish();
+	    }
+	};
+    }
+
+    // connection loop: connect, read, reconnect until closed
+    async _run() {
+	while (this.readyState !== EventStream.CLOSED) {
+	    try {
+		const done = await this._connect();
+		if (done) break;
+	    } catch (err) {
+		if (this.readyState === EventStream.CLOSED) break;
+		this._report(err);
+		if (err instanceof HTTPError && err.status !== null) break; // server refused: don't retry
+	    }
+
+	    if (this.readyState === EventStream.CLOSED) break;
+	    if (this.retries++ >= this.maxRetries) break;
+	    this.readyState = EventStream.CONNECTING;
+	    await sleep(this.reconnect, this.controller.signal);
+	}
+	this.close();
+    }
+
+    /**
+     * Opens one connection and reads it until it ends.
+     * @returns {Promise<boolean>} True if the stream must not be reconnected.
+     */
+    async _connect() {
+	const { headers = {}, ...rest } = this.requestOpts;
+	const sendHeaders = {
+	    Accept: 'text/event-stream',
+	    'Cache-Control': 'no-cache',
+	    ...headers
+	};
+	if (this.lastEventId) sendHeaders['Last-Event-ID'] = this.lastEventId;
+
+	const res = await this.http.request(this.path, {
+	    timeout: 0,        // long-lived: no timeout unless asked for
+	    ...rest,
+	    headers: sendHeaders,
+	    format: 'full',
+	    stream: 'lines',
+	    retry: false,      // reconnects are handled here
+	    throwOnError: false,
+	    signal: this.controller.signal
+	});
+	if (!res) return true; // blocked by lockRequest
+
+	this.url = res.url;
+	const contentType = res.headers['content-type'] || '';
+	if (res.status === 204 || !res.ok || !contentType.includes('text/event-stream')) {
+	    await res.body.return();
+	    if (res.status === 204) return true;
+	    throw new HTTPError(`EventStream: expected text/event-stream, got ${res.status} ${contentType || '(no content-type)'}`, {
+		status: res.status,
+		statusText: res.statusText,
+		url: res.url,
+		method: (rest.method || 'GET').toUpperCase(),
+		headers: res.headers,
+		elapsedMs: res.elapsedMs
+	    });
+	}
+
+	this.readyState = EventStream.OPEN;
+	this.retries = 0;
+	this._invoke(this.onOpen, res);
+
+	let event = { type: '', data: [] };
+	for await (const line of res.body) {
+	    if (line === '') {
+		this._dispatch(event);
+		event = { type: '', data: [] };
+	    } else {
+		this._parseLine(line, event);
+	    }
+	}
+	return false; // stream ended: reconnect (an incomplete trailing event is discarded)
+    }
+
+    _parseLine(line, event) {
+	if (line.startsWith(':')) return; // comment / keep-alive
+
+	const idx = line.indexOf(':');
+	const field = idx === -1 ? line : line.slice(0, idx);
+	let value = idx === -1 ? '' : line.slice(idx + 1);
+	if (value.startsWith(' ')) value = value.slice(1);
+
+	switch (field) {
+	case 'event':
+	    event.type = value;
+	    break;
+	case 'data':
+	    event.data.push(value);
+	    break;
+	case 'id':
+	    if (!value.includes('\0')) this.lastEventId = value;
+	    break;
+	case 'retry':
+	    if (/^\d+$/.test(value)) this.reconnect = parseInt(value, 10);
+	    break;
+	default:
+	    break; // unknown fields are ignored
+	}
+    }
+
+    _dispatch(raw) {
+	if (!raw.data.length) return;
+
+	const event = {
+	    type: raw.type || 'message',
+	    data: raw.data.join('\n'),
+	    lastEventId: this.lastEventId,
+	    origin: this.url
+	};
+
+	this._invoke(this.onMessage, event);
+	for (const fn of this.listeners.get(event.type) ?? []) this._invoke(fn, event);
+	for (const consumer of this.consumers) {
+	    consumer.queue.push(event);
+	    consumer.wake();
+	}
+    }
+
+    // calls a user callback; a throw goes to onError instead of breaking the read loop
+    _invoke(fn, ...args) {
+	if (typeof fn !== 'function') return;
+	try {
+	    fn(...args);
+	} catch (err) {
+	    this._report(err);
+	}
+    }
+
+    _report(err) {
+	try {
+	    this.onError?.(err);
+	} catch (inner) {
+	    console.error('EventStream: onError threw', inner);
+	}
+    }
+}
+
+export default EventStream;
@@ -6,8 +6,25 @@
 
 import Net from './core/Net.js';
 import HTTP from './core/HTTP.js';
+import EventStream from './events/EventStream.js';
+import ResponseCache from './cache/ResponseCache.js';
+import MemoryStore from './cache/MemoryStore.js';
+import RateLimiter from './core/RateLimiter.js';
+import CookieJar from './core/CookieJar.js';
+import ResponseParsers from './core/ResponseParsers.js';
+import MockTransport from './transport/MockTransport.js';
+import HarRecorder from './transport/HarRecorder.js';
+import RequestMetrics from './core/RequestMetrics.js';
+import CircuitBreaker from './core/CircuitBreaker.js';
+import OriginPool from './core/OriginPool.js';
+import ResponseSchema from './core/ResponseSchema.js';
 
-export { Net, HTTP };
+export { Net, HTTP, EventStream, ResponseCache, MemoryStore, RateLimiter, CookieJar, ResponseParsers, MockTransport, HarRecorder, RequestMetrics, CircuitBreaker, OriginPool, ResponseSchema };
+export * from './core/errors.js';
+export { toFormData, filePart, jsonPart } from './core/multipart.js';
+export { validateOptions } from './core/validation.js';
+export { validateJsonSchema } from './utils/jsonSchema.js';
+export { AuthProvider, BearerAuth, BasicAuth, ApiKeyAuth, SignerAuth, createAuth } from './auth/index.js';
 export * from './core/fetch_enum.js';
 
 export default Net;
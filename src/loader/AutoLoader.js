@@ -52,8 +52,13 @@ import loaders from './index.js';
  */
 
 export default class AutoLoader {
-    constructor(net = null) {
-	this.net = net ?? new HTTP();
+    /**
+     * @param {HTTP} [net] - The HTTP client used to fetch specs.
+     * @param {object} [opts={}]
+     * @param {function|object} [opts.transport] - Transport for the HTTP client created when `net` is omitted.
+     */
+    constructor(net = null, { transport = null } = {}) {
+	this.net = net ?? new HTTP({ transport });
     }
 
     async load(input,opts= {}) {
@@ -73,6 +73,25 @@ class AbstractSpec {
 	throw new Error('AbstractSpec: resolveUrl(op) must be implemented');
     }
 
+    /**
+     * Optional: every base URL the API is served from (see `SpecManager.useServers()`).
+     * @param {object} [opts]
+     * @param {boolean} [opts.absolute=false] - Only URLs with a scheme.
+     * @returns {string[]} None by default.
+     */
+    getServerUrls(opts = {}) {
+	return [];
+    }
+
+    /**
+     * Optional: expected response bodies of an operation (see `ResponseSchema.js`).
+     * @param {object} op - The operation object
+     * @returns {object|null} `{ [status]: { [mediaType]: schema } }`, or null when unknown.
+     */
+    getResponseSchemas(op) {
+	return null;
+    }
+
     /**
      * @param {object} op - The operation object
      * @returns {object} Default request options (e.g., headers, json=true)
@@ -21,6 +21,7 @@ import AbstractSpec from './AbstractSpec.js';
  * - Parse and normalize OpenAPI `paths`, `servers`, and `info`
  * - Support `operationId` lookup via `getOperation()`
  * - Derive HTTP request options based on request/response content types
+ * - Expose response schemas for response validation via `getResponseSchemas()`
  * - Expose consistent `id` and `source` metadata for spec management
  *
  * Limitations:
@@ -99,6 +100,24 @@ class OpenAPISpec extends AbstractSpec {
 	return object ? entry ?? null : entry?.url ?? '';
     }
 
+    /**
+     * Lists the URL of every entry in `servers`, in spec order (entries without a `url` are skipped).
+     * Used by `SpecManager.useServers()` to fail over between them.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.absolute=false] - If true, only URLs with a scheme (`https://...`) are returned.
+     * @returns {string[]}
+     *
+     * @example
+     * spec.getServerUrls(); // → ["https://api.example.com", "https://backup.example.com"]
+     */
+    getServerUrls({ absolute = false } = {}) {
+	if (!Array.isArray(this.servers)) return [];
+	return this.servers
+	    .map(s => s?.url)
+	    .filter(url => typeof url === 'string' && url && (!absolute || /^[a-z][a-z\d+.-]*:\/\//i.test(url)));
+    }
+
 
     /**
      * Retrieves an operation by its `operationId` from the OpenAPI `paths` object.
@@ -192,7 +211,7 @@ class OpenAPISpec extends AbstractSpec {
      * Derives sensible default request options for a given OpenAPI operation.
      *
      * This method is primarily intended for use with the internal `HTTP` class
-     * to infer default behaviors like `json: true`, `urlencoded: true`, or `format: 'raw'`
+     * to infer default behaviors like `json: true`, `urlencoded: true`, `multipart: true`, or `format: 'raw'`
      * based on the declared request body and response types in the OpenAPI spec.
      *
      * It is especially useful for auto-setting headers and encoding options
@@ -209,6 +228,9 @@ class OpenAPISpec extends AbstractSpec {
      *
      * spec.getRequestOptions(op);
      * // → { urlencoded: true, format: 'body' }
+     *
+     * spec.getRequestOptions('uploadDocument'); // requestBody: multipart/form-data, `encoding.meta.contentType: application/json`
+     * // → { multipart: { json: ['meta'] } }
      */
     getRequestOptions(opOrId, opts = {}) {
 	let op = opOrId;
@@ -222,7 +244,13 @@ class OpenAPISpec extends AbstractSpec {
 
 	// Body format hints
 	const content = op.requestBody?.content ?? {};
-	if (content['application/x-www-form-urlencoded']) {
+	if (content['multipart/form-data']) {
+	    // parts declared with a JSON contentType in `encoding` are sent as JSON parts
+	    const encoding = content['multipart/form-data'].encoding ?? {};
+	    const jsonFields = Object.keys(encoding).filter(name =>
+		/^application\/(.+\+)?json\b/.test(encoding[name]?.contentType ?? ''));
+	    out.multipart = jsonFields.length ? { json: jsonFields } : true;
+	} else if (content['application/x-www-form-urlencoded']) {
 	    out.urlencoded = true;
 	} else if (content['application/json']) {
 	    out.json = true;
@@ -243,6 +271,57 @@ class OpenAPISpec extends AbstractSpec {
 	return out;
     }
 
+    /**
+     * Collects the response schemas of an operation, by status and media type,
+     * in the shape `ResponseSchema` expects (`SpecManager.call()` validates responses with them).
+     *
+     * Reads `responses[status].content[mediaType].schema` (OpenAPI 3), or `responses[status].schema`
+     * (Swagger 2, stored under `'*\/*'`). A response given as a local `$ref` is followed; `$ref`s
+     * inside schemas are left for the validator, which resolves them against `raw`.
+     *
+     * @param {object|string} opOrId - An operation object or `operationId` string
+     * @param {object} [opts]
+     * @param {boolean} [opts.object=false] - Passed to `getOperation()` if `opOrId` is an ID
+     * @returns {object|null} `{ [status]: { [mediaType]: schema } }`, or null if the operation declares none
+     *
+     * @example
+     * spec.getResponseSchemas('getDog');
+     * // → { "200": { "application/json": { $ref: "#/components/schemas/Dog" } } }
+     */
+    getResponseSchemas(opOrId, opts = {}) {
+	let op = opOrId;
+
+	if (typeof opOrId === 'string') {
+	    op = this.getOperation(opOrId, opts);
+	    if (!op) return null;
+	}
+
+	const out = {};
+	for (const [status, entry] of Object.entries(op.responses || {})) {
+	    const response = this._resolveLocalRef(entry);
+	    if (!response || typeof response !== 'object') continue;
+
+	    const schemas = {};
+	    for (const [type, media] of Object.entries(response.content || {})) {
+		if (media?.schema !== undefined) schemas[type] = media.schema;
+	    }
+	    if (response.schema !== undefined && !Object.keys(schemas).length)
+		schemas['*/*'] = response.schema;
+	    if (Object.keys(schemas).length) out[status] = schemas;
+	}
+	return Object.keys(out).length ? out : null;
+    }
+
+    // { $ref: '#/components/responses/NotFound' } → the referenced object (one level)
+    _resolveLocalRef(node) {
+	if (typeof node?.$ref !== 'string' || !node.$ref.startsWith('#/')) return node;
+	let target = this.raw;
+	for (const part of node.$ref.slice(2).split('/')) {
+	    target = target?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+	}
+	return target ?? null;
+    }
+
     export() {
 	return JSON.parse(JSON.stringify(this.raw)); 
     }
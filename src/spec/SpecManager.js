@@ -4,6 +4,9 @@
  */
 import HTTP       from '../core/HTTP.js';
 import AutoLoader from '../loader/AutoLoader.js';
+import OriginPool from '../core/OriginPool.js';
+import ResponseSchema from '../core/ResponseSchema.js';
+import { HTTPError } from '../core/errors.js';
 
 /**
  * SpecManager
@@ -48,11 +51,13 @@ class SpecManager {
      * @param {object} deps
      * @param {HTTP} [deps.http] - The HTTP client to use for requests
      * @param {AutoLoader} [deps.loader] - Loader for URL or object-based specs
+     * @param {function|object} [deps.transport] - Transport for the HTTP client created when `http` is omitted
      */
-    constructor({ http: net = null, loader = null } = {}) {
-	this.net = net ?? new HTTP();
+    constructor({ http: net = null, loader = null, transport = null } = {}) {
+	this.net = net ?? new HTTP({ transport });
 	this.loader = loader ?? new AutoLoader(this.net);
 	this.specs = new Map();
+	this.origins = new Map(); // spec id → OriginPool, see useServers()
     }
 
     /**
@@ -107,6 +112,39 @@ class SpecManager {
 	return Array.from(this.specs.keys());
     }
 
+    /**
+     * Sends the calls of a spec to all of its `servers` instead of only the first one:
+     * they become an `OriginPool`, so a call fails over to the next server on a network error or 5xx,
+     * unhealthy servers are skipped until their cooldown ends, and calls may be hedged (see `OriginPool.js`).
+     *
+     * Only servers with an absolute URL take part. Call it again after reloading the spec.
+     *
+     * @param {string} specId
+     * @param {object|false} [opts={}] - `OriginPool` options (`cooldown`, `statuses`, `methods`, `hedge`, ...),
+     *   or `false` to go back to the first server only.
+     * @returns {OriginPool|null} The pool (its `snapshot()` reports each server's health).
+     *
+     * @example
+     * net.specs.useServers('petstore', { cooldown: 10000, hedge: 250 });
+     * await net.specs.call('petstore', 'listPets'); // servers[0], else servers[1], ...
+     */
+    useServers(specId, opts = {}) {
+	const spec = this.get(specId);
+	if (!spec)
+	    throw new Error(`SpecManager: Spec '${specId}' not loaded`);
+	if (opts === false) {
+	    this.origins.delete(specId);
+	    return null;
+	}
+
+	const urls = spec.getServerUrls?.({ absolute: true }) ?? [];
+	if (!urls.length)
+	    throw new Error(`SpecManager: Spec '${specId}' has no absolute server URLs`);
+	const pool = new OriginPool({ ...opts, urls });
+	this.origins.set(specId, pool);
+	return pool;
+    }
+
 
     /**
      * Look up an operation from a registered spec
@@ -126,10 +164,21 @@ class SpecManager {
 
   /**
    * Executes a registered operation using HTTP
+   *
+   * Typed HTTP errors (`HTTPError`, `TimeoutError`, `AbortError`, `NetworkError`) are re-thrown
+   * with `specId` and `opId` attached, so callers can branch on the error class.
+   *
+   * The response is checked against the schema the operation declares for its status and media type
+   * (see `getResponseSchemas()`). `validate` (per call, else on the HTTP client) picks the mode: `'throw'`
+   * by default, `'warn'`, `'annotate'`, or `false` to skip it. A `schema` in `params` replaces the spec's,
+   * `schema: false` skips it.
+   *
    * @param {string} specId
    * @param {string} opId
-   * @param {object} [params={}] - Options merged with spec defaults
+   * @param {object} [params={}] - Options merged with spec defaults (e.g. `{ throwOnError: true }`);
+   *   `body` (or `data`) is the request payload for POST operations
    * @returns {Promise<any>}
+   * @throws {HTTPError} Including `SchemaValidationError` when the response doesn't match (`validate: 'throw'`).
    */
     
     async call(specId,opId,  params = {}) {
@@ -147,9 +196,25 @@ class SpecManager {
 
 	const url = spec.resolveUrl(op); // should come before the fetch
 	const specOpts = spec.getRequestOptions(op);
-	const mergedOpts = { ...specOpts, ...params };
+	// a server URL with a scheme is complete; don't prefix the HTTP base to it
+	const absolute = /^[a-z][a-z\d+.-]*:\/\//i.test(url);
+	const pool = this.origins.get(specId);
+	const mergedOpts = { absolute, ...(pool ? { origins: pool } : {}), ...specOpts, ...params };
+	if (mergedOpts.schema === undefined && (mergedOpts.validate ?? this.net.opts.validate) !== false) {
+	    const responses = spec.getResponseSchemas?.(op) ?? null;
+	    if (responses) mergedOpts.schema = new ResponseSchema(responses, { root: spec.raw ?? null });
+	}
 
-	return await this.net[method](url, mergedOpts);
+	try {
+	    // request() takes the body from `body` / `data`; the remaining options configure the call
+	    return await this.net.request(url, { ...mergedOpts, method: method.toUpperCase() });
+	} catch (err) {
+	    if (err instanceof HTTPError) {
+		err.specId = specId;
+		err.opId = opId;
+	    }
+	    throw err;
+	}
     }
 
     
@@ -0,0 +1,236 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * HarRecorder
+ * -----------
+ * Captures the traffic of an `HTTP` instance as a HAR 1.2 log, for fixtures and bug reports.
+ * Replay a log with `MockTransport.fromHAR(har)`.
+ *
+ * Recording runs as a `response` interceptor, so every entry is what the request pipeline saw:
+ * the URL and `sendOpts` of the request (as reported by `format: 'full'` with `sendOpts: true`),
+ * and the final response after retries and redirects. Timings use the same clock as `elapsedMs`:
+ * `wait` runs from the start of the request to the response headers, `receive` covers reading the recorded body.
+ * Credentials added by an auth provider are never seen; `Authorization` / `Cookie` headers passed as
+ * options are redacted (see `redact`). Requests that fail without a response are not recorded, and
+ * streaming responses (`stream`, `lines`, SSE, ...) are recorded without their body.
+ *
+ * ```js
+ * const recorder = new HarRecorder(http);
+ * await runScenario(http);
+ * await fs.writeFile('session.har', JSON.stringify(recorder.toHAR(), null, 2));
+ *
+ * // later, in a test
+ * const http = new HTTP({ url, transport: MockTransport.fromHAR(JSON.parse(await fs.readFile('session.har', 'utf8'))) });
+ * ```
+ *
+ * @class HarRecorder
+ */
+export class HarRecorder {
+    /**
+     * @param {HTTP} http - The instance to record. Recording starts immediately.
+     * @param {object} [opts={}]
+     * @param {boolean} [opts.bodies=true] - Record request / response bodies.
+     * @param {string[]} [opts.redact=['authorization', 'proxy-authorization', 'cookie', 'set-cookie']] - Header values replaced by `'[redacted]'`.
+     * @param {function} [opts.filter] - `(ctx, res) => boolean`; return false to skip an exchange.
+     */
+    constructor(http, { bodies = true, redact = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'], filter = null } = {}) {
+	this.http = http;
+	this.bodies = bodies;
+	this.redact = redact.map(name => name.toLowerCase());
+	this.filter = filter;
+	this.entries = [];
+	this.handle = null;
+	this.start();
+    }
+
+    /**
+     * Starts (or resumes) recording.
+     * @returns {HarRecorder} this
+     */
+    start() {
+	if (this.handle === null)
+	    this.handle = this.http.interceptors.use('response', (res, ctx) => this._record(res, ctx));
+	return this;
+    }
+
+    /**
+     * Stops recording; recorded entries are kept.
+     * @returns {HarRecorder} this
+     */
+    stop() {
+	if (this.handle !== null) this.http.interceptors.eject(this.handle);
+	this.handle = null;
+	return this;
+    }
+
+    /**
+     * Drops recorded entries.
+     * @returns {HarRecorder} this
+     */
+    clear() {
+	this.entries = [];
+	return this;
+    }
+
+    /**
+     * @returns {{ log: object }} The HAR 1.2 document.
+     */
+    toHAR() {
+	return {
+	    log: {
+		version: '1.2',
+		creator: { name: 'm7Fetch', version: '1.0' },
+		pages: [],
+		entries: this.entries.slice()
+	    }
+	};
+    }
+
+    toJSON() {
+	return this.toHAR();
+    }
+
+    async _record(res, ctx) {
+	if (!res || (this.filter && !this.filter(ctx, res))) return;
+
+	const wait = performance.now() - ctx.start;
+	const request = await this._request(ctx);
+	const received = performance.now();
+	const response = await this._response(res, ctx);
+	const receive = performance.now() - received;
+
+	const entry = {
+	    startedDateTime: new Date(Date.now() - wait - receive).toISOString(),
+	    time: round(wait + receive),
+	    request,
+	    response,
+	    cache: {},
+	    timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: round(wait), receive: round(receive) }
+	};
+	if (ctx.meta?.attempts) entry._attempts = ctx.meta.attempts;
+	if (ctx.meta?.cache) entry._cache = ctx.meta.cache;
+	this.entries.push(entry);
+    }
+
+    async _request(ctx) {
+	const headers = new Headers(ctx.sendOpts.headers);
+	const url = absoluteUrl(ctx.url);
+	const request = {
+	    method: ctx.method,
+	    url: url.href,
+	    httpVersion: 'HTTP/1.1',
+	    cookies: [],
+	    headers: this._headers(headers),
+	    queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+	    headersSize: -1,
+	    bodySize: -1
+	};
+
+	const body = ctx.sendOpts.body;
+	if (body === undefined || body === null) {
+	    request.bodySize = 0;
+	    return request;
+	}
+	const postData = { mimeType: headers.get('content-type') || '', text: '' };
+	if (typeof body === 'string') {
+	    postData.text = body;
+	} else if (body instanceof URLSearchParams) {
+	    postData.mimeType ||= 'application/x-www-form-urlencoded';
+	    postData.text = body.toString();
+	    postData.params = [...body].map(([name, value]) => ({ name, value }));
+	} else if (typeof FormData !== 'undefined' && body instanceof FormData) {
+	    postData.mimeType ||= 'multipart/form-data';
+	    postData.params = [...body].map(([name, value]) => (typeof value === 'string'
+		? { name, value }
+		: { name, fileName: value.name ?? 'blob', contentType: value.type || 'application/octet-stream' }));
+	} else if (this.bodies && (body instanceof Blob || body instanceof ArrayBuffer || ArrayBuffer.isView(body))) {
+	    // bytes kept as is (like response bodies), so replay can match them exactly
+	    const bytes = new Uint8Array(await new Blob([body]).arrayBuffer());
+	    postData.text = toBase64(bytes);
+	    postData.encoding = 'base64';
+	    request.bodySize = bytes.byteLength;
+	} else {
+	    postData.comment = 'body not recorded';
+	}
+	if (!this.bodies) postData.text = '';
+	if (!postData.encoding)
+	    request.bodySize = new TextEncoder().encode(postData.text).byteLength || -1;
+	request.postData = postData;
+	return request;
+    }
+
+    async _response(res, ctx) {
+	const mimeType = res.headers.get('content-type') || '';
+	const content = { size: -1, mimeType };
+
+	if (this.bodies && res.body && !this.http.streamMode(ctx.opts)) {
+	    try {
+		const bytes = new Uint8Array(await res.clone().arrayBuffer());
+		content.size = bytes.byteLength;
+		if (isTextual(mimeType)) {
+		    content.text = new TextDecoder().decode(bytes);
+		} else {
+		    content.text = toBase64(bytes);
+		    content.encoding = 'base64';
+		}
+	    } catch (err) {
+		content.comment = `body not recorded: ${err?.message ?? err}`;
+	    }
+	} else if (res.body) {
+	    content.comment = 'body not recorded';
+	} else {
+	    content.size = 0;
+	}
+
+	return {
+	    status: res.status,
+	    statusText: res.statusText,
+	    httpVersion: 'HTTP/1.1',
+	    cookies: [],
+	    headers: this._headers(res.headers),
+	    content,
+	    redirectURL: res.headers.get('location') || '',
+	    headersSize: -1,
+	    bodySize: content.size
+	};
+    }
+
+    _headers(headers) {
+	return [...headers].map(([name, value]) => ({
+	    name,
+	    value: this.redact.includes(name.toLowerCase()) ? '[redacted]' : value
+	}));
+    }
+}
+
+function absoluteUrl(url) {
+    try {
+	return new URL(url, globalThis.location?.href);
+    } catch (err) {
+	return new URL(url, 'http://localhost/');
+    }
+}
+
+function isTextual(mime) {
+    const type = mime.split(';')[0].trim().toLowerCase();
+    return !type
+	|| type.startsWith('text/')
+	|| /[/+](json|xml)$/.test(type)
+	|| ['application/javascript', 'application/ecmascript', 'application/x-www-form-urlencoded', 'application/x-ndjson', 'image/svg+xml'].includes(type);
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000)
+	binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
+
+function round(ms) {
+    return Math.round(ms * 1000) / 1000;
+}
+
+export default HarRecorder;
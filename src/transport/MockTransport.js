@@ -0,0 +1,415 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * MockTransport
+ * -------------
+ * In-memory stand-in for `fetch()`, plugged into `HTTP` (or a whole `Net`) with the `transport` option,
+ * so tests and offline runs use fixtures instead of stubbing `globalThis.fetch`.
+ *
+ * Routes are matched in registration order on method, URL pattern, and optional query / header / body
+ * predicates. A route answers with a canned response, a `Response`, or a function of the request;
+ * it can be delayed, limited to `times` uses, or fail like a network error.
+ *
+ * ```js
+ * const mock = new MockTransport();
+ * mock.get('/users/:id', (req) => ({ json: { id: req.params.id } }))
+ *     .post('/users', { status: 201, json: { ok: true } }, { body: (b) => b.name === 'ana' })
+ *     .get('/flaky', [{ status: 503 }, { status: 200, text: 'ok' }])   // successive calls, last one repeats
+ *     .get('/down', { error: 'network' })
+ *     .get('/slow', { json: [] }, { delay: 2000 });
+ *
+ * const net = new Net({ url: 'https://api.test', transport: mock });
+ * await net.http.get('/users/7');
+ * mock.assertCalled('GET', '/users/:id', 1);
+ * ```
+ *
+ * Canned responses: `{ status = 200, statusText, headers, json, text, body, delay, error }`
+ * (`json` sets `Content-Type: application/json`; `error: 'network'` rejects like `fetch()` does,
+ * any other `Error` is thrown as is).
+ *
+ * URL patterns: a path (`'/users/:id'`, `'/files/*'`) is matched against the URL's path, a full URL against
+ * the URL without its query; a pattern containing `?` also compares the query string.
+ * A `URL` object must match exactly (query included), a RegExp is tested against the full URL,
+ * a function receives the `URL`.
+ *
+ * Recorded calls (`mock.calls`): `{ method, url, headers, body, text, bytes, params, route }`, where `body` is
+ * parsed (JSON, urlencoded → object, multipart → `FormData`, else the text) and `bytes` is the raw body (`Uint8Array`).
+ *
+ * @class MockTransport
+ */
+export class MockTransport {
+    /**
+     * @param {object} [opts={}]
+     * @param {string|object|function} [opts.fallback='error'] - For unmatched requests: `'error'` (reject),
+     *   `'passthrough'` (real `fetch()`), or a response (canned object / function) to answer with.
+     * @param {number} [opts.delay=0] - Default delay in ms for every response.
+     */
+    constructor({ fallback = 'error', delay = 0 } = {}) {
+	this.routes = [];
+	this.calls = [];
+	this.fallback = fallback;
+	this.delay = delay;
+	this.fetch = this.fetch.bind(this); // usable as a bare function: `transport: mock.fetch`
+    }
+
+    /**
+     * Adds a route.
+     *
+     * @param {string|object} method - HTTP method (`'*'` for any), or a matcher `{ method, url, query, headers, body }`.
+     * @param {string|RegExp|function} [url] - URL pattern (see class notes). Omitted when `method` is a matcher.
+     * @param {object|Response|function|Array} response - Canned response, `Response`, `(req) => response`,
+     *   or an array of those used for successive calls (the last one repeats).
+     * @param {object} [opts={}]
+     * @param {object|function} [opts.query] - Required query values (`{ page: '2' }`) or `(searchParams) => boolean`.
+     * @param {object|function} [opts.headers] - Required header values or `(headers) => boolean`.
+     * @param {function} [opts.body] - `(body, req) => boolean`, body parsed as in `calls`.
+     * @param {number} [opts.times=Infinity] - Uses before the route stops matching.
+     * @param {number} [opts.delay] - Delay in ms before responding.
+     * @returns {MockTransport} this
+     */
+    on(method, url, response, opts = {}) {
+	if (method && typeof method === 'object') {
+	    const { method: m = '*', url: u, ...rest } = method;
+	    return this.on(m, u, url, { ...rest, ...(response || {}) });
+	}
+	this.routes.push({
+	    method: String(method || '*').toUpperCase(),
+	    pattern: url,
+	    matchUrl: compilePattern(url),
+	    responses: Array.isArray(response) ? response : [response],
+	    query: opts.query ?? null,
+	    headers: opts.headers ?? null,
+	    body: opts.body ?? null,
+	    times: opts.times ?? Infinity,
+	    delay: opts.delay,
+	    used: 0
+	});
+	return this;
+    }
+
+    /**
+     * Builds a transport that replays a HAR log (e.g. from `HarRecorder`).
+     *
+     * Entries are matched on method, exact URL and request body (multipart bodies on their field names,
+     * binary bodies recorded as base64 on their bytes).
+     * Entries sharing a method, URL and body are served in recorded order; the last one repeats.
+     *
+     * @param {object|string} har - HAR document, or its JSON text.
+     * @param {object} [opts={}] - Constructor options (`fallback`, `delay`).
+     * @returns {MockTransport}
+     */
+    static fromHAR(har, opts = {}) {
+	const log = (typeof har === 'string' ? JSON.parse(har) : har)?.log;
+	if (!Array.isArray(log?.entries))
+	    throw new Error('MockTransport: not a HAR document (missing log.entries)');
+
+	const mock = new MockTransport(opts);
+	const groups = new Map();
+	for (const { request, response } of log.entries) {
+	    if (!request || !response || !response.status) continue; // status 0: no response recorded
+	    const method = String(request.method || 'GET').toUpperCase();
+	    const url = new URL(request.url);
+	    const body = harBodyKey(request.postData);
+	    const key = JSON.stringify([method, url.href, typeof body === 'string' ? body : `base64:${request.postData.text}`]);
+	    if (!groups.has(key)) groups.set(key, { method, url, body, responses: [] });
+	    groups.get(key).responses.push(harResponse(response));
+	}
+	for (const { method, url, body, responses } of groups.values())
+	    mock.on(method, url, responses, { body: (parsed, req) => bodyMatches(req, body) });
+	return mock;
+    }
+
+    get(url, response, opts) { return this.on('GET', url, response, opts); }
+    post(url, response, opts) { return this.on('POST', url, response, opts); }
+    put(url, response, opts) { return this.on('PUT', url, response, opts); }
+    patch(url, response, opts) { return this.on('PATCH', url, response, opts); }
+    delete(url, response, opts) { return this.on('DELETE', url, response, opts); }
+    head(url, response, opts) { return this.on('HEAD', url, response, opts); }
+    options(url, response, opts) { return this.on('OPTIONS', url, response, opts); }
+
+    /**
+     * The transport function (`fetch()` signature).
+     * @param {string|URL|Request} input
+     * @param {object} [init={}]
+     * @returns {Promise<Response>}
+     */
+    async fetch(input, init = {}) {
+	const req = await readRequest(input, init);
+	this.calls.push(req);
+
+	let route = null;
+	for (const candidate of this.routes) {
+	    if (candidate.used >= candidate.times) continue;
+	    if (await routeMatches(candidate, req)) {
+		route = candidate;
+		break;
+	    }
+	}
+
+	let response, delay = this.delay;
+	if (route) {
+	    req.route = route.pattern;
+	    response = route.responses[Math.min(route.used, route.responses.length - 1)];
+	    route.used++;
+	    delay = route.delay ?? delay;
+	} else if (this.fallback === 'passthrough') {
+	    return fetch(input, init);
+	} else if (this.fallback === 'error') {
+	    throw new Error(`MockTransport: no route for ${req.method} ${req.url}`);
+	} else {
+	    response = this.fallback;
+	}
+
+	if (typeof response === 'function') response = await response(req);
+	if (!(response instanceof Response)) delay = response?.delay ?? delay;
+	await wait(delay, init.signal);
+
+	if (response instanceof Response) return response;
+	return buildResponse(response ?? {}, req);
+    }
+
+    /**
+     * Recorded calls, optionally filtered.
+     * @param {string} [method] - `'*'` or omitted for any.
+     * @param {string|RegExp|function} [url] - Pattern, as for routes.
+     * @returns {object[]}
+     */
+    callsTo(method = '*', url = undefined) {
+	const m = String(method).toUpperCase();
+	const matchUrl = url === undefined ? () => ({}) : compilePattern(url);
+	return this.calls.filter(call => (m === '*' || call.method === m) && matchUrl(new URL(call.url)));
+    }
+
+    /**
+     * Throws unless matching calls were made (exactly `times` of them, if given).
+     * @throws {Error}
+     */
+    assertCalled(method, url, times = undefined) {
+	const count = this.callsTo(method, url).length;
+	if (times === undefined ? count === 0 : count !== times)
+	    throw new Error(`MockTransport: expected ${times ?? 'at least 1'} call(s) to ${method} ${url}, got ${count}` + this._callList());
+    }
+
+    /**
+     * Throws if a matching call was made.
+     * @throws {Error}
+     */
+    assertNotCalled(method, url) {
+	const count = this.callsTo(method, url).length;
+	if (count)
+	    throw new Error(`MockTransport: expected no call to ${method} ${url}, got ${count}` + this._callList());
+    }
+
+    /**
+     * Throws if a route was never used, or a route with `times` was used fewer times.
+     * @throws {Error}
+     */
+    assertDone() {
+	const pending = this.routes.filter(r => r.used === 0 || (Number.isFinite(r.times) && r.used < r.times));
+	if (pending.length)
+	    throw new Error('MockTransport: unused routes: ' + pending.map(r => `${r.method} ${r.pattern}`).join(', '));
+    }
+
+    /**
+     * Forgets recorded calls and route usage; with `routes: true`, removes the routes too.
+     * @param {object} [opts={}]
+     * @param {boolean} [opts.routes=false]
+     */
+    reset({ routes = false } = {}) {
+	this.calls = [];
+	if (routes) this.routes = [];
+	for (const route of this.routes) route.used = 0;
+    }
+
+    _callList() {
+	if (!this.calls.length) return ' (no calls made)';
+	return '\n  calls made:\n' + this.calls.map(c => `    ${c.method} ${c.url}`).join('\n');
+    }
+}
+
+// → (URL) => params object on match, else null
+function compilePattern(pattern) {
+    if (pattern === undefined || pattern === null || pattern === '*') return () => ({});
+    if (typeof pattern === 'function') return (url) => (pattern(url) ? {} : null);
+    if (pattern instanceof URL) return (url) => (url.href === pattern.href ? {} : null);
+    if (pattern instanceof RegExp) return (url) => {
+	const m = pattern.exec(url.href);
+	return m ? { ...(m.groups || {}) } : null;
+    };
+
+    const str = String(pattern);
+    const absolute = /^[a-z][a-z\d+.-]*:\/\//i.test(str);
+    const withQuery = str.includes('?');
+    const names = [];
+    const source = str.replace(/[.+^${}()|[\]\\?]/g, '\\$&')
+	  .replace(/\*/g, '.*')
+	  .replace(/:([A-Za-z_]\w*)/g, (_, name) => {
+	      names.push(name);
+	      return '([^/?#]+)';
+	  });
+    const regex = new RegExp(`^${source}/?$`);
+
+    return (url) => {
+	const target = (absolute ? url.origin : '') + url.pathname + (withQuery ? url.search : '');
+	const m = regex.exec(target);
+	if (!m) return null;
+	const params = {};
+	names.forEach((name, i) => { params[name] = decodeURIComponent(m[i + 1]); });
+	return params;
+    };
+}
+
+async function routeMatches(route, req) {
+    if (route.method !== '*' && route.method !== req.method) return false;
+
+    const url = new URL(req.url);
+    const params = route.matchUrl(url);
+    if (!params) return false;
+
+    if (route.query) {
+	const ok = typeof route.query === 'function'
+	      ? route.query(url.searchParams)
+	      : Object.entries(route.query).every(([k, v]) => url.searchParams.get(k) === String(v));
+	if (!ok) return false;
+    }
+    if (route.headers) {
+	const headers = new Headers(req.headers);
+	const ok = typeof route.headers === 'function'
+	      ? route.headers(headers)
+	      : Object.entries(route.headers).every(([k, v]) => headers.get(k) === String(v));
+	if (!ok) return false;
+    }
+    if (route.body && !(await route.body(req.body, req))) return false;
+
+    req.params = params;
+    return true;
+}
+
+// body identity used for HAR matching: the text, or the field names of a multipart body (boundaries differ per run)
+// what a recorded request body is matched on: a string, or the bytes of a base64-encoded body
+function harBodyKey(postData) {
+    if (!postData) return '';
+    if (/multipart\/form-data/i.test(postData.mimeType || ''))
+	return (postData.params || []).map(p => p.name).join('&');
+    if (postData.encoding === 'base64') return fromBase64(postData.text ?? '');
+    return postData.text ?? '';
+}
+
+function requestBodyKey(req) {
+    if (typeof FormData !== 'undefined' && req.body instanceof FormData)
+	return [...req.body.keys()].join('&');
+    return req.text;
+}
+
+function bodyMatches(req, key) {
+    if (typeof key === 'string') return requestBodyKey(req) === key;
+    const bytes = req.bytes ?? new Uint8Array(0);
+    return bytes.length === key.length && bytes.every((byte, i) => byte === key[i]);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function harResponse(response) {
+    const headers = new Headers();
+    for (const { name, value } of response.headers || []) {
+	// the recorded body is already decoded, and its length may differ
+	if (['content-encoding', 'content-length', 'transfer-encoding'].includes(name.toLowerCase())) continue;
+	if (value === '[redacted]') continue;
+	headers.append(name, value);
+    }
+    const content = response.content || {};
+    let body = content.text ?? null;
+    if (body !== null && content.encoding === 'base64')
+	body = fromBase64(body);
+    return { status: response.status, statusText: response.statusText || '', headers, body };
+}
+
+async function readRequest(input, init) {
+    const request = input instanceof Request ? input : null;
+    const url = String(request ? request.url : input);
+    const method = String(init.method || request?.method || 'GET').toUpperCase();
+    const headers = new Headers(init.headers ?? request?.headers);
+
+    let text = '', bytes = new Uint8Array(0), body = null;
+    const raw = init.body ?? null;
+    if (raw !== null || (request && request.body)) {
+	const source = raw !== null
+	      ? new Request(url, { method: 'POST', headers, body: raw, duplex: 'half' })
+	      : request.clone();
+	// FormData / URLSearchParams bodies get their content type (and boundary) from the Request
+	const contentType = source.headers.get('content-type') || '';
+	if (contentType && !headers.has('content-type')) headers.set('content-type', contentType);
+	bytes = new Uint8Array(await source.arrayBuffer());
+	text = new TextDecoder().decode(bytes);
+	body = await parseBody(text, contentType);
+    }
+
+    return {
+	method,
+	url,
+	headers: Object.fromEntries(headers.entries()),
+	body,
+	text,
+	bytes,
+	params: {},
+	route: null
+    };
+}
+
+async function parseBody(text, contentType) {
+    if (/[/+]json\b/i.test(contentType)) {
+	try { return JSON.parse(text); } catch (e) { return text; }
+    }
+    if (contentType.includes('application/x-www-form-urlencoded'))
+	return Object.fromEntries(new URLSearchParams(text));
+    if (contentType.includes('multipart/form-data'))
+	return new Response(text, { headers: { 'content-type': contentType } }).formData();
+    return text;
+}
+
+function buildResponse(spec, req) {
+    if (spec.error) {
+	if (spec.error instanceof Error) throw spec.error;
+	// shaped like undici's network failures, so `classifyFetchError()` reports a NetworkError
+	throw new TypeError('fetch failed', { cause: new Error(`MockTransport: simulated ${spec.error} error`) });
+    }
+
+    const status = spec.status ?? 200;
+    const headers = new Headers(spec.headers);
+    let body = spec.body ?? null;
+    if (spec.json !== undefined) {
+	body = JSON.stringify(spec.json);
+	if (!headers.has('content-type')) headers.set('content-type', 'application/json');
+    } else if (spec.text !== undefined) {
+	body = String(spec.text);
+	if (!headers.has('content-type')) headers.set('content-type', 'text/plain;charset=UTF-8');
+    }
+    if (req.method === 'HEAD' || [101, 204, 205, 304].includes(status)) body = null;
+
+    const res = new Response(body, { status, statusText: spec.statusText ?? '', headers });
+    Object.defineProperty(res, 'url', { value: req.url });
+    return res;
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+	let timer = null;
+	const abort = () => {
+	    clearTimeout(timer);
+	    reject(signal.reason ?? new DOMException('This operation was aborted', 'AbortError'));
+	};
+	if (signal?.aborted) return abort();
+	timer = setTimeout(() => {
+	    signal?.removeEventListener('abort', abort);
+	    resolve();
+	}, Math.max(0, ms || 0));
+	signal?.addEventListener('abort', abort, { once: true });
+    });
+}
+
+export default MockTransport;
@@ -0,0 +1,267 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * jsonSchema
+ * ----------
+ * Small, dependency-free JSON Schema validator used for response validation (see `core/ResponseSchema.js`).
+ *
+ * Covers the keywords API contracts use in practice (draft 4 through 2020-12, and OpenAPI schemas):
+ * - `type` (incl. `integer` and type lists), `enum`, `const`, OpenAPI `nullable`
+ * - strings: `minLength`, `maxLength`, `pattern`, `format` (`date-time`, `date`, `time`, `email`, `uri`, `uuid`, `ipv4`;
+ *   other formats are not checked)
+ * - numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum` (number or draft-4 boolean), `multipleOf`
+ * - arrays: `items` (schema or tuple), `prefixItems`, `additionalItems`, `minItems`, `maxItems`, `uniqueItems`, `contains`
+ * - objects: `properties`, `required`, `additionalProperties`, `patternProperties`, `propertyNames`,
+ *   `minProperties`, `maxProperties`, `dependentRequired`
+ * - combinators: `allOf`, `anyOf`, `oneOf`, `not`, `if` / `then` / `else`
+ * - local `$ref`s (`#/components/schemas/Pet`, `#/definitions/Pet`), resolved against `root`
+ *
+ * Errors are `{ path, keyword, message }`, `path` being a JSON Pointer into the value (`''` for the value itself):
+ * ```js
+ * validateJsonSchema({ id: '7' }, { type: 'object', properties: { id: { type: 'integer' } } });
+ * // → [{ path: '/id', keyword: 'type', message: 'must be integer, got string' }]
+ * ```
+ */
+
+const FORMATS = {
+    'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})$/,
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    time: /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})?$/,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uri: /^[a-z][a-z\d+.-]*:[^\s]*$/i,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    ipv4: /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/
+};
+
+const MAX_REF_DEPTH = 64;
+
+/**
+ * Validates a value against a JSON Schema.
+ *
+ * @param {*} value - e.g. a parsed response body.
+ * @param {object|boolean} schema
+ * @param {object} [opts={}]
+ * @param {object} [opts.root=schema] - Document `$ref`s resolve against (e.g. the whole OpenAPI spec).
+ * @param {number} [opts.maxErrors=100] - Stop collecting after this many errors.
+ * @returns {object[]} `{ path, keyword, message }` per problem; empty when valid.
+ */
+export function validateJsonSchema(value, schema, { root = schema, maxErrors = 100 } = {}) {
+    const errors = [];
+    check(value, schema, '', { root, errors, maxErrors, depth: 0 });
+    return errors.slice(0, maxErrors);
+}
+
+function check(value, schema, path, ctx) {
+    if (ctx.errors.length >= ctx.maxErrors) return;
+    if (schema === true || schema === undefined || schema === null || typeof schema !== 'object') {
+        if (schema === false) fail(ctx, path, 'false', 'no value is allowed here');
+        return;
+    }
+
+    if (typeof schema.$ref === 'string') {
+        const target = resolveRef(schema.$ref, ctx.root);
+        if (target === undefined) return fail(ctx, path, '$ref', `cannot resolve $ref "${schema.$ref}"`);
+        if (ctx.depth >= MAX_REF_DEPTH) return;
+        check(value, target, path, { ...ctx, depth: ctx.depth + 1 });
+        return; // OpenAPI 3.0: siblings of $ref are ignored
+    }
+
+    if (value === null && schema.nullable === true) return;
+
+    const type = typeOf(value);
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? [...schema.type] : [schema.type];
+        if (schema.nullable === true) types.push('null');
+        if (!types.some(t => t === type || (t === 'number' && type === 'integer')))
+            return fail(ctx, path, 'type', `must be ${types.join(' or ')}, got ${type}`);
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => equal(option, value)))
+        fail(ctx, path, 'enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    if ('const' in schema && !equal(schema.const, value))
+        fail(ctx, path, 'const', `must be ${JSON.stringify(schema.const)}`);
+
+    if (type === 'string') checkString(value, schema, path, ctx);
+    else if (type === 'number' || type === 'integer') checkNumber(value, schema, path, ctx);
+    else if (type === 'array') checkArray(value, schema, path, ctx);
+    else if (type === 'object') checkObject(value, schema, path, ctx);
+
+    checkCombinators(value, schema, path, ctx);
+}
+
+function checkString(value, schema, path, ctx) {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength)
+        fail(ctx, path, 'minLength', `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength)
+        fail(ctx, path, 'maxLength', `must be at most ${schema.maxLength} characters`);
+    const pattern = schema.pattern === undefined ? null : safeRegExp(schema.pattern); // invalid patterns are not checked
+    if (pattern && !pattern.test(value))
+        fail(ctx, path, 'pattern', `must match ${schema.pattern}`);
+    if (FORMATS[schema.format] && !FORMATS[schema.format].test(value))
+        fail(ctx, path, 'format', `must be a valid ${schema.format}`);
+}
+
+function checkNumber(value, schema, path, ctx) {
+    const { minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf } = schema;
+    if (minimum !== undefined && (exclusiveMinimum === true ? value <= minimum : value < minimum))
+        fail(ctx, path, 'minimum', `must be ${exclusiveMinimum === true ? '>' : '>='} ${minimum}`);
+    if (maximum !== undefined && (exclusiveMaximum === true ? value >= maximum : value > maximum))
+        fail(ctx, path, 'maximum', `must be ${exclusiveMaximum === true ? '<' : '<='} ${maximum}`);
+    if (typeof exclusiveMinimum === 'number' && value <= exclusiveMinimum)
+        fail(ctx, path, 'exclusiveMinimum', `must be > ${exclusiveMinimum}`);
+    if (typeof exclusiveMaximum === 'number' && value >= exclusiveMaximum)
+        fail(ctx, path, 'exclusiveMaximum', `must be < ${exclusiveMaximum}`);
+    if (typeof multipleOf === 'number' && multipleOf > 0) {
+        const quotient = value / multipleOf;
+        if (Math.abs(quotient - Math.round(quotient)) > 1e-9)
+            fail(ctx, path, 'multipleOf', `must be a multiple of ${multipleOf}`);
+    }
+}
+
+function checkArray(value, schema, path, ctx) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+        fail(ctx, path, 'minItems', `must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+        fail(ctx, path, 'maxItems', `must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems === true) {
+        for (let i = 1; i < value.length; i++) {
+            if (value.slice(0, i).some(prev => equal(prev, value[i]))) {
+                fail(ctx, `${path}/${i}`, 'uniqueItems', 'must not repeat an earlier item');
+                break;
+            }
+        }
+    }
+
+    // tuple: `prefixItems` (2020-12) or an `items` array (earlier drafts)
+    const tuple = Array.isArray(schema.prefixItems) ? schema.prefixItems : Array.isArray(schema.items) ? schema.items : null;
+    const rest = tuple
+        ? (Array.isArray(schema.items) ? schema.additionalItems : schema.items)
+        : schema.items;
+    value.forEach((item, i) => {
+        const itemSchema = tuple && i < tuple.length ? tuple[i] : rest;
+        if (itemSchema === false && tuple) fail(ctx, `${path}/${i}`, 'items', `must have at most ${tuple.length} items`);
+        else check(item, itemSchema, `${path}/${i}`, ctx);
+    });
+
+    if (schema.contains !== undefined && !value.some(item => matches(item, schema.contains, ctx)))
+        fail(ctx, path, 'contains', 'must contain a matching item');
+}
+
+function checkObject(value, schema, path, ctx) {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties)
+        fail(ctx, path, 'minProperties', `must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties)
+        fail(ctx, path, 'maxProperties', `must have at most ${schema.maxProperties} properties`);
+
+    for (const name of schema.required ?? []) {
+        if (!Object.hasOwn(value, name))
+            fail(ctx, `${path}/${escape(name)}`, 'required', 'is required');
+    }
+    for (const [name, needed] of Object.entries(schema.dependentRequired ?? {})) {
+        if (!Object.hasOwn(value, name)) continue;
+        for (const other of needed) {
+            if (!Object.hasOwn(value, other))
+                fail(ctx, `${path}/${escape(other)}`, 'dependentRequired', `is required when "${name}" is present`);
+        }
+    }
+
+    const properties = schema.properties ?? {};
+    const patterns = Object.entries(schema.patternProperties ?? {}).map(([pattern, sub]) => [safeRegExp(pattern), sub]);
+    for (const key of keys) {
+        const keyPath = `${path}/${escape(key)}`;
+        if (schema.propertyNames !== undefined && !matches(key, schema.propertyNames, ctx))
+            fail(ctx, keyPath, 'propertyNames', 'is not an allowed property name');
+
+        let known = false;
+        if (Object.hasOwn(properties, key)) {
+            known = true;
+            check(value[key], properties[key], keyPath, ctx);
+        }
+        for (const [regexp, sub] of patterns) {
+            if (!regexp?.test(key)) continue;
+            known = true;
+            check(value[key], sub, keyPath, ctx);
+        }
+        if (known || schema.additionalProperties === undefined || schema.additionalProperties === true) continue;
+        if (schema.additionalProperties === false) fail(ctx, keyPath, 'additionalProperties', 'is not an allowed property');
+        else check(value[key], schema.additionalProperties, keyPath, ctx);
+    }
+}
+
+function checkCombinators(value, schema, path, ctx) {
+    for (const sub of schema.allOf ?? []) check(value, sub, path, ctx);
+
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(sub => matches(value, sub, ctx)))
+        fail(ctx, path, 'anyOf', 'must match at least one of the allowed schemas (anyOf)');
+
+    if (Array.isArray(schema.oneOf)) {
+        const count = schema.oneOf.filter(sub => matches(value, sub, ctx)).length;
+        if (count !== 1)
+            fail(ctx, path, 'oneOf', `must match exactly one of the allowed schemas (oneOf), matched ${count}`);
+    }
+
+    if (schema.not !== undefined && matches(value, schema.not, ctx))
+        fail(ctx, path, 'not', 'must not match the schema in "not"');
+
+    if (schema.if !== undefined) {
+        const branch = matches(value, schema.if, ctx) ? schema.then : schema.else;
+        if (branch !== undefined) check(value, branch, path, ctx);
+    }
+}
+
+// validates against `schema` without reporting
+function matches(value, schema, ctx) {
+    const errors = [];
+    check(value, schema, '', { ...ctx, errors, maxErrors: 1 });
+    return errors.length === 0;
+}
+
+function fail(ctx, path, keyword, message) {
+    if (ctx.errors.length < ctx.maxErrors) ctx.errors.push({ path, keyword, message });
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function equal(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && equal(a[key], b[key]));
+}
+
+// '#/components/schemas/Pet' → root.components.schemas.Pet
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#')) return undefined; // remote refs are not fetched
+    let node = root;
+    for (const part of ref.slice(1).split('/').filter(Boolean)) {
+        const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (node === null || typeof node !== 'object' || !Object.hasOwn(node, key)) return undefined;
+        node = node[key];
+    }
+    return node;
+}
+
+function escape(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function safeRegExp(pattern) {
+    try {
+        return new RegExp(pattern, 'u');
+    } catch (err) {
+        return null;
+    }
+}
+
+export default validateJsonSchema;
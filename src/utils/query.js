@@ -0,0 +1,104 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * query
+ * -----
+ * Query-string / `application/x-www-form-urlencoded` serialization used by `HTTP.toQueryParams()`
+ * (and through it by `buildGet()` and urlencoded request bodies).
+ *
+ * The `queryStyle` (instance or per request) picks how arrays are written:
+ * - `'comma'`      → `ids=1,2` (default; what `URLSearchParams` makes of an array)
+ * - `'repeat'`     → `ids=1&ids=2`
+ * - `'brackets'`   → `ids[]=1&ids[]=2` (Rails, PHP)
+ * - `'deepObject'` → `ids[0]=1&ids[1]=2`
+ *
+ * Nested objects are always written with brackets (`filter[status]=open`, `filter[tags][]=a`),
+ * and objects inside arrays are always indexed (`rows[0][id]=1`), whatever the style. `undefined` and `null` values are skipped, Dates become ISO strings.
+ * Keys and values are encoded like `URLSearchParams` (spaces as `+`, brackets and commas percent-encoded).
+ */
+
+export const QUERY_STYLES = ['comma', 'repeat', 'brackets', 'deepObject'];
+
+/**
+ * Flattens params into `[key, value]` pairs.
+ *
+ * @param {object} params
+ * @param {string} [style='comma'] - One of `QUERY_STYLES`.
+ * @param {function} [isLeaf] - `(value) => boolean`; matching values are kept as is instead of being
+ *   walked or stringified (e.g. Blobs in multipart bodies).
+ * @returns {Array<[string, *]>} Values are strings, or leaves.
+ * @throws {Error} On an unknown style.
+ *
+ * @example
+ * queryPairs({ ids: [1, 2], filter: { status: 'open' } }, 'brackets');
+ * // → [['ids[]', '1'], ['ids[]', '2'], ['filter[status]', 'open']]
+ */
+export function queryPairs(params, style = 'comma', isLeaf = () => false) {
+    if (!QUERY_STYLES.includes(style))
+        throw new Error(`query: unknown queryStyle "${style}". Must be one of: ${QUERY_STYLES.join(', ')}`);
+
+    const pairs = [];
+    for (const [key, value] of Object.entries(params))
+        addValue(pairs, key, value, style, isLeaf);
+    return pairs;
+}
+
+/**
+ * Serializes params to a query string (without leading `?`).
+ *
+ * @param {object|URLSearchParams|string} params - Strings and `URLSearchParams` are passed through.
+ * @param {string} [style='comma'] - One of `QUERY_STYLES`.
+ * @returns {string} e.g. `"ids=1%2C2"`, or `''` for empty / invalid input.
+ */
+export function serializeQuery(params, style = 'comma') {
+    if (params instanceof URLSearchParams) return params.toString();
+    if (typeof params === 'string') return params.replace(/^\?/, '');
+    if (!params || typeof params !== 'object') return '';
+    return new URLSearchParams(queryPairs(params, style)).toString();
+}
+
+function addValue(pairs, key, value, style, isLeaf) {
+    if (value === undefined || value === null) return;
+    if (isLeaf(value)) {
+        pairs.push([key, value]);
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        const items = value.filter(item => item !== undefined && item !== null);
+        const nested = (item) => !isLeaf(item) && (isObject(item) || Array.isArray(item));
+        if (style === 'comma' && !items.some(item => nested(item) || isLeaf(item))) {
+            if (items.length) pairs.push([key, items.map(scalar).join(',')]);
+            return;
+        }
+        items.forEach((item, i) => {
+            // objects and arrays inside arrays are always indexed, or their fields couldn't be told apart
+            const itemKey = nested(item) || style === 'deepObject' ? `${key}[${i}]`
+                  : style === 'brackets' ? `${key}[]`
+                  : key;
+            addValue(pairs, itemKey, item, style, isLeaf);
+        });
+        return;
+    }
+
+    if (isObject(value)) {
+        for (const [k, v] of Object.entries(value))
+            addValue(pairs, `${key}[${k}]`, v, style, isLeaf);
+        return;
+    }
+
+    pairs.push([key, scalar(value)]);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+}
+
+function scalar(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+}
+
+export default serializeQuery;
@@ -0,0 +1,151 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * retry
+ * -----
+ * Retry policy helpers used by `HTTP` to re-attempt failed fetches.
+ *
+ * A policy may be supplied globally (`new HTTP({ retry })`) or per request (`http.get(url, { retry })`).
+ * Accepted shorthands:
+ * - `false` / `null` / `undefined` → no retries
+ * - `true`                       → `RETRY_DEFAULTS`
+ * - a number `n`                 → `RETRY_DEFAULTS` with `attempts: n`
+ * - an object                    → merged over the global policy, then over `RETRY_DEFAULTS`
+ *
+ * Delay for attempt `n` (1-based, the attempt that just failed):
+ *   min(maxDelay, baseDelay * factor^(n-1)), reduced by up to `jitter` (fraction, 0..1) at random.
+ * When `respectRetryAfter` is set and the response carries `Retry-After` (seconds or HTTP-date),
+ * that value is used instead, clamped to `maxRetryAfter`.
+ */
+
+export const RETRY_DEFAULTS = {
+    attempts: 3,                 // total attempts, including the first one
+    baseDelay: 300,              // ms
+    maxDelay: 30000,             // ms, cap for computed backoff
+    factor: 2,
+    jitter: 0.5,                 // 0 disables jitter
+    statuses: [408, 425, 429, 500, 502, 503, 504],
+    networkErrors: true,         // retry when fetch() rejects (DNS, connection reset, ...)
+    timeouts: true,              // retry when the per-attempt `timeout` elapses
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'], // add POST / PATCH to opt in
+    respectRetryAfter: true,
+    maxRetryAfter: 60000,        // ms, cap for server-provided Retry-After
+    onRetry: null                // ({ attempt, delay, status, error, url, method }) => void
+};
+
+/**
+ * Resolves the effective retry policy from the global and per-request settings.
+ *
+ * @param {boolean|number|object|null} globalOpt - Instance-level `retry` option.
+ * @param {boolean|number|object|null} [localOpt] - Per-request `retry` option (wins over global).
+ * @returns {object|null} A complete policy, or null if retries are disabled.
+ */
+export function resolveRetryPolicy(globalOpt, localOpt = undefined) {
+    const local = normalize(localOpt);
+    if (local === false) return null;
+
+    const global = normalize(globalOpt);
+    if (local === undefined && !global) return null;
+
+    const policy = { ...RETRY_DEFAULTS, ...(global || {}), ...(local || {}) };
+    policy.attempts = Math.max(1, parseInt(policy.attempts, 10) || 1);
+    policy.methods = policy.methods.map(m => String(m).toUpperCase());
+    return policy.attempts > 1 ? policy : null;
+}
+
+function normalize(opt) {
+    if (opt === undefined) return undefined;
+    if (opt === false || opt === null) return false;
+    if (opt === true) return {};
+    if (typeof opt === 'number') return { attempts: opt };
+    if (typeof opt === 'object') return opt;
+    return undefined;
+}
+
+/**
+ * Decides whether a finished attempt should be retried.
+ *
+ * @param {object} policy - Resolved policy.
+ * @param {object} outcome
+ * @param {Response} [outcome.res] - The response, if fetch resolved.
+ * @param {Error} [outcome.error] - The rejection, if fetch failed.
+ * @param {boolean} [outcome.timedOut=false] - True if the per-attempt timeout fired.
+ * @param {boolean} [outcome.aborted=false] - True if the caller's signal (or `cancel()`) fired.
+ * @returns {boolean}
+ */
+export function shouldRetry(policy, { res = null, error = null, timedOut = false, aborted = false } = {}) {
+    if (error) {
+        if (timedOut) return !!policy.timeouts;
+        if (aborted || error.name === 'AbortError') return false; // caller-initiated
+        return !!policy.networkErrors;
+    }
+    return !!res && policy.statuses.includes(res.status);
+}
+
+/**
+ * Computes the wait before the next attempt.
+ *
+ * @param {object} policy - Resolved policy.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {Response|null} [res=null] - Response of the failed attempt, consulted for `Retry-After`.
+ * @returns {number} Delay in milliseconds.
+ */
+export function computeRetryDelay(policy, attempt, res = null) {
+    if (policy.respectRetryAfter && res?.headers) {
+        const after = parseRetryAfter(res.headers.get('retry-after'));
+        if (after !== null) return Math.min(after, policy.maxRetryAfter);
+    }
+
+    const exp = policy.baseDelay * Math.pow(policy.factor, attempt - 1);
+    const capped = Math.min(policy.maxDelay, exp);
+    const jitter = Math.min(1, Math.max(0, Number(policy.jitter) || 0));
+    return Math.round(capped * (1 - jitter * Math.random()));
+}
+
+/**
+ * Parses a `Retry-After` header value.
+ *
+ * @param {string|null} value - Either delta-seconds (`"120"`) or an HTTP-date (`"Wed, 21 Oct 2015 07:28:00 GMT"`).
+ * @param {number} [now=Date.now()] - Reference time for HTTP-date values.
+ * @returns {number|null} Delay in milliseconds (never negative), or null if absent/unparseable.
+ *
+ * @example
+ * parseRetryAfter('5');                               // → 5000
+ * parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT');   // → ms until that date, or 0 if past
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined) return null;
+    const str = String(value).trim();
+    if (!str) return null;
+
+    if (/^\d+(\.\d+)?$/.test(str))
+        return Math.round(parseFloat(str) * 1000);
+
+    const date = Date.parse(str);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+/**
+ * Promise-based delay. Resolves early if `signal` aborts; check `signal.aborted` afterwards.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = undefined) {
+    return new Promise(resolve => {
+        if (signal?.aborted) return resolve();
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, Math.max(0, ms));
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
+export default resolveRetryPolicy;